@@ -1,29 +1,276 @@
 // background.js (MV3 service worker)
-// background.js (MV3 service worker)
 
-const ANALYZE_URL = "https://computesimilarity-tz4nnskwtq-uc.a.run.app";
+importScripts(
+  "data/settings.js",
+  "data/similarity.js",
+  "data/segmenter.js",
+  "data/language.js",
+  "data/rules.js",
+  "data/ledger.js",
+  "data/conversations.js",
+  "data/history.js"
+);
+
+// --- analysis backend registry ---
+// Every backend resolves to the same result shape as the remote
+// computesimilarity service: { maxSimilarity, match?, hits?, removedChars? }.
+const BACKENDS = {
+  remote: {
+    label: "Remote HTTP service",
+    async analyze(text, settings, signal) {
+      if (!settings.analysisEndpoint) throw new Error("NO_ENDPOINT");
+      const res = await fetch(settings.analysisEndpoint, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        // the service expects the prompt under "input"
+        body: JSON.stringify({ input: text }),
+        signal,
+      });
+      const data = await res.json().catch(() => null);
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      if (typeof data?.maxSimilarity !== "number") {
+        throw new Error("BAD_RESPONSE");
+      }
+      // Older deployments only send the score; then the closest prompt in
+      // the local corpus stands in for the match the modal shows
+      const match =
+        typeof data.match === "string" && data.match
+          ? data.match
+          : computeSimilarity(text, await similarityCorpus(settings)).match;
+      return { maxSimilarity: data.maxSimilarity, match };
+    },
+  },
+  similarity: {
+    label: "Local similarity model",
+    async analyze(text, settings) {
+      return computeSimilarity(text, await similarityCorpus(settings));
+    },
+  },
+  rules: {
+    label: "Local rules",
+    async analyze(text) {
+      const rules = rulesForLanguage(await loadActiveRuleSets(), detectLanguage(text));
+      const { removed, hits } = applyRuleSet(text, rules);
+      return { maxSimilarity: 0, match: null, removedChars: removed, hits };
+    },
+  },
+};
+
+// Prompts sent this session (data/similarity.js), and with history on
+// the decrypted history's (data/history.js), so a default install still
+// catches repeats and nothing is kept in plain text
+async function similarityCorpus(settings) {
+  const session = await loadSessionCorpus();
+  if (!settings.historyEnabled) return session;
+  const history = (await loadHistory()).map((e) => e.text);
+  return [...new Set([...history, ...session])];
+}
+
+let activeRuleSets = null; // bundled + user rules per language, compiled
+async function loadActiveRuleSets() {
+  if (!activeRuleSets) {
+    const settings = await loadSettings();
+    activeRuleSets = await loadRuleSets(settings.userRules);
+  }
+  return activeRuleSets;
+}
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (isSettingsArea(area) && changes.userRules) {
+    activeRuleSets = null;
+    analysisCache.clear();
+  }
+  // Switching history on or off changes what the similarity backend
+  // compares against
+  if (isSettingsArea(area) && changes.historyEnabled) {
+    analysisCache.clear();
+  }
+});
+
+// `outer` aborts too: the content script cancels when the user keeps typing
+function runWithTimeout(backend, text, settings, ms, outer) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), ms);
+  const onOuterAbort = () => controller.abort();
+  outer?.addEventListener("abort", onOuterAbort);
+  return Promise.race([
+    backend.analyze(text, settings, controller.signal),
+    new Promise((_, reject) =>
+      controller.signal.addEventListener("abort", () =>
+        reject(new Error(outer?.aborted ? "CANCELLED" : `TIMEOUT ${ms}ms`))
+      )
+    ),
+  ]).finally(() => {
+    clearTimeout(timer);
+    outer?.removeEventListener("abort", onOuterAbort);
+  });
+}
+
+// --- result cache ---
+// Re-sending the same prompt (after a block, an Edit that changed nothing,
+// another tab) skips the backends entirely. Entries for a prompt are
+// dropped once it is sent, since sending changes its similarity.
+const ANALYSIS_CACHE_TTL_MS = 5 * 60 * 1000;
+const ANALYSIS_CACHE_LIMIT = 100;
+const analysisCache = new Map(); // key → { ts, result }
+
+function analysisCacheKey(text, settings) {
+  return JSON.stringify([settings.analysisChain, settings.analysisEndpoint, text]);
+}
+
+function cachedAnalysis(key) {
+  const hit = analysisCache.get(key);
+  if (!hit) return null;
+  analysisCache.delete(key);
+  if (Date.now() - hit.ts > ANALYSIS_CACHE_TTL_MS) return null;
+  analysisCache.set(key, hit); // most recently used goes last
+  return hit.result;
+}
+
+function cacheAnalysis(key, result) {
+  analysisCache.set(key, { ts: Date.now(), result });
+  while (analysisCache.size > ANALYSIS_CACHE_LIMIT) {
+    analysisCache.delete(analysisCache.keys().next().value);
+  }
+}
+
+function forgetAnalysis(text) {
+  for (const key of analysisCache.keys()) {
+    if (JSON.parse(key)[2] === text) analysisCache.delete(key);
+  }
+}
+
+// Walk the configured chain; the first backend that succeeds answers.
+// budgetMs caps the whole walk (each backend gets what is left of it).
+async function analyzeText(text, { budgetMs = 0, signal } = {}) {
+  const settings = await loadSettings();
+  const key = analysisCacheKey(text, settings);
+  const cached = cachedAnalysis(key);
+  if (cached) return { ...cached, cached: true };
+
+  const chain = Array.isArray(settings.analysisChain)
+    ? settings.analysisChain
+    : PH_DEFAULTS.analysisChain;
+  const deadline = budgetMs > 0 ? Date.now() + budgetMs : Infinity;
+  const attempts = [];
+  for (const id of chain) {
+    const backend = BACKENDS[id];
+    if (!backend) continue;
+    if (signal?.aborted) return { ok: false, error: "CANCELLED", attempts };
+    const left = deadline - Date.now();
+    if (left <= 0) {
+      attempts.push({ backend: id, error: "BUDGET_EXHAUSTED" });
+      break;
+    }
+    const ms = Math.min(
+      settings.analysisTimeouts?.[id] ?? PH_DEFAULTS.analysisTimeouts[id],
+      left
+    );
+    try {
+      const data = await runWithTimeout(backend, text, settings, ms, signal);
+      const result = { ok: true, backend: id, data, attempts };
+      cacheAnalysis(key, result);
+      return result;
+    } catch (e) {
+      attempts.push({ backend: id, error: String(e?.message || e) });
+    }
+  }
+  return { ok: false, error: "ALL_BACKENDS_FAILED", attempts };
+}
+
+const inflightAnalyses = new Map(); // request id → AbortController
 
 chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
   if (msg?.type === "ANALYZE_TEXT") {
-    (async () => {
-      try {
-        const res = await fetch(ANALYZE_URL, {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify({ text: msg.text }),
-        });
-        const data = await res.json().catch(() => null);
-        if (!res.ok) {
-          sendResponse({ ok: false, error: `HTTP ${res.status}`, data });
-          return;
-        }
-        sendResponse({ ok: true, data });
-      } catch (e) {
-        sendResponse({ ok: false, error: String(e?.message || e) });
-      }
-    })();
+    const controller = new AbortController();
+    if (msg.id) inflightAnalyses.set(msg.id, controller);
+    analyzeText(String(msg.text || ""), {
+      budgetMs: Number(msg.budgetMs) || 0,
+      signal: controller.signal,
+    })
+      .then(sendResponse)
+      .catch((e) => sendResponse({ ok: false, error: String(e?.message || e) }))
+      .finally(() => inflightAnalyses.delete(msg.id));
     return true; // keep the message channel open (async sendResponse)
   }
+
+  if (msg?.type === "ANALYZE_CANCEL") {
+    inflightAnalyses.get(msg.id)?.abort();
+    sendResponse({ ok: true });
+    return;
+  }
+
+  // Sent prompts join this session's corpus; they're only kept past the
+  // session (encrypted history) with history on
+  if (msg?.type === "RECORD_PROMPT") {
+    const text = String(msg.text || "");
+    forgetAnalysis(text);
+    Promise.all([loadSettings(), addToSessionCorpus(text)])
+      .then(([settings]) =>
+        settings.historyEnabled ? addToHistory({ text, url: msg.url, site: msg.site }) : null
+      )
+      .then((historyId) => sendResponse({ ok: true, historyId }))
+      .catch((e) => sendResponse({ ok: false, error: String(e?.message || e) }));
+    return true;
+  }
+
+  // --- opt-in prompt history (data/history.js) ---
+  if (msg?.type === "HISTORY_MATCH") {
+    loadSettings()
+      .then((settings) =>
+        settings.historyEnabled ? findInHistory(String(msg.text || "")) : null
+      )
+      .then((match) => sendResponse({ ok: true, match }))
+      .catch((e) => sendResponse({ ok: false, error: String(e?.message || e) }));
+    return true;
+  }
+
+  if (msg?.type === "HISTORY_SET_URL" && msg.id) {
+    setHistoryUrl(msg.id, String(msg.url || ""))
+      .then(() => sendResponse({ ok: true }))
+      .catch((e) => sendResponse({ ok: false, error: String(e?.message || e) }));
+    return true;
+  }
+
+  if (msg?.type === "HISTORY_STATS") {
+    loadHistory()
+      .then((list) => sendResponse({ ok: true, count: list.length }))
+      .catch((e) => sendResponse({ ok: false, error: String(e?.message || e) }));
+    return true;
+  }
+
+  if (msg?.type === "HISTORY_CLEAR") {
+    Promise.all([clearHistory(), clearSessionCorpus()])
+      .then(() => {
+        analysisCache.clear();
+        sendResponse({ ok: true });
+      })
+      .catch((e) => sendResponse({ ok: false, error: String(e?.message || e) }));
+    return true;
+  }
+
+  if (msg?.type === "CONVERSATION_UPDATE" && msg.entry?.key) {
+    saveConversation(msg.entry)
+      .then(() => sendResponse({ ok: true }))
+      .catch((e) => sendResponse({ ok: false, error: String(e?.message || e) }));
+    return true;
+  }
+
+  if (msg?.type === "LEDGER_RECORD" && msg.entry) {
+    appendLedger(msg.entry)
+      .then(() => sendResponse({ ok: true }))
+      .catch((e) => sendResponse({ ok: false, error: String(e?.message || e) }));
+    return true;
+  }
+
+  if (msg?.type === "LIST_BACKENDS") {
+    sendResponse({
+      ok: true,
+      backends: Object.entries(BACKENDS).map(([id, b]) => ({
+        id,
+        label: b.label,
+      })),
+    });
+  }
 });
 
 // --- tiny helper to message the active tab's content script ---
@@ -70,6 +317,11 @@ chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
     relayToActiveTab({ type: "CLEAN_CURRENT" }, sendResponse);
     return true;
   }
+
+  if (msg?.type === "POPUP_UNDO_CLEAN") {
+    relayToActiveTab({ type: "UNDO_CLEAN" }, sendResponse);
+    return true;
+  }
 });
 
 // --- keyboard shortcut support (from manifest "commands") ---
@@ -79,11 +331,20 @@ chrome.commands.onCommand.addListener((cmd) => {
       if (tabId) chrome.tabs.sendMessage(tabId, { type: "CLEAN_CURRENT" });
     });
   }
+  if (cmd === "undo-clean") {
+    withActiveTab((tabId) => {
+      if (tabId) chrome.tabs.sendMessage(tabId, { type: "UNDO_CLEAN" });
+    });
+  }
 });
 
 // --- optional: simple diagnostics in chrome://extensions › service worker logs ---
 chrome.runtime.onInstalled.addListener((details) => {
   console.log("[PH] installed:", details.reason);
+  removeLegacyCorpus();
+  if (details.reason === "install" || details.reason === "update") {
+    migrateActivationMode(details.reason);
+  }
 });
 chrome.runtime.onStartup.addListener(() => {
   console.log("[PH] service worker started");
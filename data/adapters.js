@@ -0,0 +1,147 @@
+// ===============================================
+// data/adapters.js
+// ===============================================
+// Site adapters: each supported LLM site declares how to find its prompt
+// editor, read/write it safely, find the send button and tell which
+// model is in use. Unknown sites get the generic adapter, which is the
+// old behaviour (any textarea / contenteditable / role=textbox).
+//
+// Adapters can be switched off per site on the options page
+// (settings.disabledAdapters).
+//
+// Chat sites also say where the conversation's turns are and how its id
+// shows in the URL, for conversation-level checks (data/turns.js).
+
+const GENERIC_EDITOR_SELECTOR = "textarea,[contenteditable],[role='textbox']";
+const GENERIC_SEND_SELECTOR = "[data-testid='send-button'],button[aria-label*='Send']";
+
+function adapterRead(el) {
+	if (isMonacoEditor(el)) {
+		// Only the rendered lines are reachable; good enough for analysis
+		const lines = el.closest(".monaco-editor")?.querySelector(".view-lines");
+		return (lines?.innerText || "").replace(/\u00a0/g, " ");
+	}
+	return el.tagName?.toLowerCase() === "textarea" ? el.value : el.innerText;
+}
+
+// Diff-based, editor-friendly write (data/text_writer.js). Returns false
+// when the editor can't take it (Monaco).
+function adapterWrite(el, text) {
+	return writeEditorText(el, adapterRead(el), text);
+}
+
+function makeAdapter(def) {
+	return {
+		editorSelector: GENERIC_EDITOR_SELECTOR,
+		sendSelector: GENERIC_SEND_SELECTOR,
+		model: null,
+		modelSelector: null,
+		userTurnSelector: null, // null: the thread isn't read on this site
+		assistantTurnSelector: null,
+		conversationPath: null, // regex on location.pathname, id in group 1
+		// fallback: if the site's own selector finds nothing (its markup
+		// changed), take any generic editor instead. Only for whole-document
+		// scans: in an added subtree it would pick up every textarea a reply
+		// happens to contain.
+		findEditors(root = document, { fallback = false } = {}) {
+			const own = root.querySelectorAll(this.editorSelector);
+			return own.length || !fallback || this === GENERIC_ADAPTER
+				? own
+				: root.querySelectorAll(GENERIC_EDITOR_SELECTOR);
+		},
+		isEditor(el) {
+			return !!el.matches?.(this.editorSelector);
+		},
+		read: adapterRead,
+		write: adapterWrite,
+		findSendButton() {
+			for (const sel of this.sendSelector.split(",")) {
+				const btn = document.querySelector(sel);
+				if (btn && !btn.disabled) return btn;
+			}
+			return null;
+		},
+		// Model picked in the site's UI if we can see it, else the site default
+		detectModel() {
+			const label = this.modelSelector
+				? document.querySelector(this.modelSelector)?.textContent
+				: null;
+			return normalizeModel(label) || this.model || DEFAULT_MODEL;
+		},
+		// Id of the open conversation; null for a new, unsaved chat
+		conversationId() {
+			const m = this.conversationPath && location.pathname.match(this.conversationPath);
+			return m ? m[1] : null;
+		},
+		...def,
+	};
+}
+
+const SITE_ADAPTERS = [
+	makeAdapter({
+		id: "chatgpt",
+		name: "ChatGPT",
+		hosts: /(^|\.)(chatgpt\.com|chat\.openai\.com)$/,
+		editorSelector: "#prompt-textarea,div.ProseMirror[contenteditable='true']",
+		sendSelector: "[data-testid='send-button'],button[aria-label*='Send']",
+		modelSelector: "[data-testid='model-switcher-dropdown-button']",
+		model: "gpt-5",
+		userTurnSelector: "[data-message-author-role='user']",
+		assistantTurnSelector: "[data-message-author-role='assistant']",
+		conversationPath: /\/c\/([\w-]+)/,
+	}),
+	makeAdapter({
+		id: "claude",
+		name: "Claude",
+		hosts: /(^|\.)claude\.ai$/,
+		editorSelector: "div.ProseMirror[contenteditable='true']",
+		sendSelector: "button[aria-label='Send message'],button[aria-label*='Send']",
+		modelSelector: "[data-testid='model-selector-dropdown']",
+		model: "claude",
+		userTurnSelector: "[data-testid='user-message']",
+		assistantTurnSelector: ".font-claude-message,.font-claude-response",
+		conversationPath: /\/chat\/([\w-]+)/,
+	}),
+	makeAdapter({
+		id: "gemini",
+		name: "Gemini",
+		hosts: /(^|\.)gemini\.google\.com$/,
+		editorSelector: "rich-textarea .ql-editor,.ql-editor[contenteditable='true']",
+		sendSelector: "button.send-button,button[aria-label*='Send']",
+		modelSelector: "[data-test-id='bard-mode-menu-button']",
+		model: "gemini",
+		userTurnSelector: "user-query",
+		assistantTurnSelector: "model-response",
+		conversationPath: /\/app\/([\w-]+)/,
+	}),
+	makeAdapter({
+		id: "copilot",
+		name: "Copilot",
+		hosts: /(^|\.)copilot\.microsoft\.com$/,
+		editorSelector: "textarea#userInput,textarea",
+		sendSelector: "button[aria-label*='Submit'],button[aria-label*='Send']",
+		model: "gpt-4o",
+		userTurnSelector: "[data-content='user-message']",
+		assistantTurnSelector: "[data-content='ai-message']",
+		conversationPath: /\/chats\/([\w-]+)/,
+	}),
+];
+
+const GENERIC_ADAPTER = makeAdapter({
+	id: "generic",
+	name: "Other sites",
+	hosts: /.*/,
+});
+
+function adapterForHost(hostname) {
+	return SITE_ADAPTERS.find((a) => a.hosts.test(hostname || "")) || GENERIC_ADAPTER;
+}
+
+// One of the AI sites with its own adapter (not the generic fallback)
+function isSupportedHost(hostname) {
+	return SITE_ADAPTERS.some((a) => a.hosts.test(hostname || ""));
+}
+
+function isAdapterEnabled(adapter, settings) {
+	return !(settings.disabledAdapters || []).includes(adapter.id);
+}
@@ -3,60 +3,183 @@
 // ===============================================
 // Content scripts run inside web pages (as specified in manifest.json).
 // This file does 5 things:
-//  1) Finds the page's text editor (e.g., ChatGPT prompt box).
-//  2) Loads "wasteful" regex rules from data/wasteful_patterns.json.
-//  3) Calculates removable chars/tokens and shows a floating badge.
-//  4) Lets the user "Clean" the text with one click.
-//  5) Blocks Enter on wasteful prompts and shows a 2-button modal:
-//       [Clear]  [Send anyway]
+//  1) Finds the page's text editor via the site adapter (data/adapters.js;
+//     ChatGPT, Claude, Gemini, Copilot, or a generic fallback). On origins
+//     that aren't enabled (data/site_access.js) it stays dormant.
+//  2) Loads "wasteful" regex rules from data/wasteful_patterns.json (and
+//     the vi/de/es/fr packs next to it), merged with the user's rules
+//     from the options page. Each prompt uses the pack for its detected
+//     language (data/language.js), shown on the badge.
+//  3) Calculates removable chars/tokens/cost and shows a floating badge,
+//     and underlines each match in the editor (data/highlight.js).
+//  4) Lets the user "Clean" the text after a diff preview (with undo),
+//     or accept phrase rewrite suggestions (data/rewrite.js) one at a time.
+//  5) On Enter, asks the blocking policy (data/policy.js) whether to stop
+//     the prompt: rule severities, token savings and similarity to past
+//     prompts (analysis runs in background.js via ANALYZE_TEXT), per the
+//     site's mode. Blocked prompts get a modal with the similar past
+//     prompt, the rule hits and the cleaned preview:
+//       [Clear all]  [Edit]  [Send original] (soft only)  [Send cleaned]
+//  6) Masks secrets and PII (data/redact.js) in everything sent to
+//     background.js, and warns on the badge, with a one-click "Mask",
+//     when the prompt itself contains them.
+//  7) With the opt-in prompt history on, points out when the prompt being
+//     typed is close to one sent before and links to that conversation.
+//  8) Lints the prompt's structure (data/lint.js): no clear task,
+//     repeated or conflicting instructions, huge pastes, asks for long
+//     output. Issues are listed on the badge and in the modal and count
+//     toward the policy by severity.
+//  9) On chat sites, reads the conversation thread (data/turns.js) to
+//     flag turn-level waste ("thanks!" after an answer, re-asking, loops
+//     of "continue") like lint issues, and reports the conversation's
+//     token totals for the popup (CONVERSATION_UPDATE).
 //
 // This version includes defensive checks so querySelector/DOM access
 // never throw (e.g., "el.querySelector is not a function").
 
 // =================== Global State ===================
-let RULES = []; // Compiled regex rule objects: { id, explain, re }
+let RULES = []; // Compiled regex rule objects: { id, explain, re } (English)
+let RULE_SETS = {}; // Compiled rules per language: { en: RULES, vi: [...], ... }
+let PHRASES = []; // Compiled phrase dictionary for rewrite suggestions
+let suggestionsOpen = false; // Whether the badge's suggestion list is expanded
 let lastTarget = null; // The editor element we last interacted with
 let badge = null; // Floating "Cleanable..." badge element
-let lastSummary = null; // Latest { removedChars, savedTokens, hits: [...] }
+let lastSummary = null; // Latest { removedChars, savedTokens, savedCost, hits: [...] }
 const attached = new WeakSet(); // Track editors we've already attached listeners to
 let modalEl = null; // Lazy-created blocking modal (backdrop root)
+let priceTable = DEFAULT_PRICE_TABLE; // USD per 1M input tokens (settings.priceTable)
+const ADAPTER = adapterForHost(location.hostname); // data/adapters.js
+let siteActive = false; // Dormant until settings enable this origin and adapter
+let policySettings = PH_DEFAULTS; // Thresholds for evaluatePolicy (data/policy.js)
+let policyMode = POLICY_DEFAULT_MODE; // This site's mode: off | warn | soft | hard
+let historyEnabled = false; // settings.historyEnabled (data/history.js)
+let historyHit = null; // { forText, match } from the last HISTORY_MATCH
+let historyTimer = null; // Debounce for history lookups while typing
+let pendingSend = null; // { id, target, raw } while Enter waits for analysis
+let REDACTORS = compileRedactors([]); // Built-in + settings.redactionPatterns
+let threadTurns = []; // The conversation on screen: [Turn] (data/turns.js)
+let lastConversation = null; // Last CONVERSATION_UPDATE entry sent
 
 //safe default so that the UI never shows "undefined"
-const EMPTY_SUMMARY = { removedChars: 0, savedTokens: 0, hits: [] };
-
-// =================== Rule Loading (with fallback) ===================
-function ensureFallbackRules() {
-	if (!Array.isArray(RULES) || RULES.length === 0) {
-		RULES = [
-			{
-				id: "sanity-hello",
-				explain: "Sanity check: 'hello'",
-				re: /\bhello\b/gi,
-			},
-		];
-		console.warn("[PH] Using fallback rules (JSON not loaded yet).");
-		scanEditors();
-		if (lastTarget) updateBadge(lastTarget);
+const EMPTY_SUMMARY = {
+	removedChars: 0,
+	savedTokens: 0,
+	savedCost: 0,
+	model: null,
+	hits: [],
+};
+
+// =================== Rule Loading ===================
+// Until the packs load (or if they fail to), RULES stays empty and the
+// badge reports nothing to clean.
+function loadRules() {
+	return loadSettings()
+		.then((settings) => loadRuleSets(settings.userRules))
+		.then((sets) => {
+			RULE_SETS = sets;
+			RULES = sets.en;
+			scanEditors();
+			if (lastTarget) updateBadge(lastTarget);
+		})
+		.catch((err) => {
+			console.warn("[PH] Failed to load wasteful_patterns.json:", err);
+		});
+}
+
+// Rules, phrases and the token vocabulary are only fetched once the
+// site is first activated
+let resourcesLoaded = false;
+function loadResources() {
+	if (resourcesLoaded) return;
+	resourcesLoaded = true;
+
+	loadRules();
+	loadEncoding(ACTIVE_ENCODING);
+
+	fetch(chrome.runtime.getURL("data/phrase_dictionary.json"))
+		.then((r) => r.json())
+		.then((json) => {
+			PHRASES = compilePhraseDictionary(json);
+			if (lastTarget) updateBadge(lastTarget);
+		})
+		.catch((err) => {
+			console.warn("[PH] Failed to load phrase_dictionary.json:", err);
+		});
+}
+
+// User rules edited on the options page apply without a reload
+chrome.storage.onChanged.addListener((changes, area) => {
+	if (isSettingsArea(area) && changes.userRules && resourcesLoaded) loadRules();
+});
+
+// =================== Price Table, Site Activation + Policy Settings ===================
+// Active = this origin is enabled (data/site_access.js) and its adapter
+// isn't switched off. Inactive pages keep no observer or listeners.
+const ACTIVATION_KEYS = ["disabledAdapters", "activationMode", "allowDomains", "denyDomains"];
+
+function isSiteEnabled(settings) {
+	return isHostEnabled(location.hostname, settings) && isAdapterEnabled(ADAPTER, settings);
+}
+
+function setSiteActive(active) {
+	if (active === siteActive) return;
+	siteActive = active;
+	if (!active) {
+		stopWatching();
+		hideBadge();
+		clearHighlights();
+		return;
 	}
+	loadResources();
+	startWatching(); // includes a first full scan
+	if (lastTarget) updateBadge(lastTarget);
 }
 
-fetch(chrome.runtime.getURL("data/wasteful_patterns.json"))
-	.then((r) => r.json())
-	.then((json) => {
-		RULES = json.map((r) => ({ ...r, re: new RegExp(r.pattern, r.flags) }));
-		console.log(
-			"[PH] Rules loaded:",
-			RULES.map((r) => r.id)
-		);
-		scanEditors();
+const POLICY_KEYS = [
+	"policyModes",
+	"blockSeverity",
+	"blockTokenThreshold",
+	"similarityThreshold",
+	"failMode",
+];
+
+function setPolicy(settings) {
+	policySettings = settings;
+	policyMode = policyModeFor(ADAPTER.id, settings);
+}
+
+loadSettings().then((settings) => {
+	priceTable = settings.priceTable || DEFAULT_PRICE_TABLE;
+	setPolicy(settings);
+	historyEnabled = settings.historyEnabled;
+	REDACTORS = compileRedactors(settings.redactionPatterns);
+	setSiteActive(isSiteEnabled(settings));
+});
+chrome.storage.onChanged.addListener((changes, area) => {
+	if (!isSettingsArea(area)) return;
+	if (POLICY_KEYS.some((k) => changes[k])) {
+		loadSettings().then((settings) => {
+			setPolicy(settings);
+			if (lastTarget) updateBadge(lastTarget);
+		});
+	}
+	if (changes.redactionPatterns) {
+		REDACTORS = compileRedactors(changes.redactionPatterns.newValue);
 		if (lastTarget) updateBadge(lastTarget);
-	})
-	.catch((err) => {
-		console.warn("[PH] Failed to load wasteful_patterns.json:", err);
-	})
-	.finally(() => {
-		setTimeout(ensureFallbackRules, 500);
-	});
+	}
+	if (changes.historyEnabled) {
+		historyEnabled = !!changes.historyEnabled.newValue;
+		historyHit = null;
+		if (lastTarget) updateBadge(lastTarget);
+	}
+	if (changes.priceTable) {
+		priceTable = changes.priceTable.newValue || DEFAULT_PRICE_TABLE;
+		if (lastTarget) updateBadge(lastTarget);
+	}
+	if (ACTIVATION_KEYS.some((k) => changes[k])) {
+		loadSettings().then((settings) => setSiteActive(isSiteEnabled(settings)));
+	}
+});
 
 // =================== Utilities ===================
 function isEditableNode(el) {
@@ -69,22 +192,40 @@ function isEditableNode(el) {
 	return false;
 }
 
-const readVal = (el) =>
-	el.tagName?.toLowerCase() === "textarea" ? el.value : el.innerText;
+// Reading/writing goes through the site adapter (rich editors need care).
+// Editors we can't write safely get the text on the clipboard instead.
+const readVal = (el) => ADAPTER.read(el);
 
 function writeVal(el, val) {
-	if (el.tagName?.toLowerCase() === "textarea") {
-		const { selectionStart, selectionEnd } = el;
-		el.value = val;
-		try {
-			el.setSelectionRange(selectionStart, selectionEnd);
-		} catch {}
-	} else {
-		el.innerText = val;
-	}
+	if (ADAPTER.write(el, val)) return true;
+	navigator.clipboard?.writeText(val).catch(() => {});
+	showWriteFailure("Can’t edit this editor — new text copied, paste to replace");
+	return false;
+}
+
+function showWriteFailure(message) {
+	const textSpan = ensureBadge().querySelector?.(".ph-text");
+	if (textSpan) textSpan.textContent = message;
+}
+
+// Token counts for the model behind this site (data/tokenizer.js). The
+// adapter re-reads the site's model picker whenever we analyze; counts
+// are estimates until that model's vocabulary has loaded, which only
+// happens on active sites (loadResources).
+let ACTIVE_MODEL = ADAPTER.detectModel();
+let ACTIVE_ENCODING = encodingForModel(ACTIVE_MODEL);
+const tokens = (s) => countTokens(s, ACTIVE_ENCODING);
+
+function refreshActiveModel() {
+	try {
+		ACTIVE_MODEL = ADAPTER.detectModel();
+		ACTIVE_ENCODING = encodingForModel(ACTIVE_MODEL);
+		if (siteActive) loadEncoding(ACTIVE_ENCODING);
+	} catch {}
 }
 
-const tokens = (s) => Math.max(1, Math.ceil((s || "").length / 4));
+const formatTokens = (n, model) =>
+	model ? `~${n} ${model} tokens` : `~${n} tokens`;
 
 function safeRespond(fn) {
 	try {
@@ -103,30 +244,19 @@ function isInViewport(el) {
 }
 
 // =================== Cleaning Core ===================
-function applyRules(text) {
-	let cleaned = text;
-	let removed = 0;
-	const hits = [];
-
-	for (const r of RULES) {
-		cleaned = cleaned.replace(r.re, (m) => {
-			removed += m.length;
-			hits.push({ id: r.id, match: m, explain: r.explain });
-			return r.id === "excess-punct" ? m[0] : " ";
-		});
-	}
-
-	const before = cleaned.length;
-	cleaned = cleaned
-		.replace(/[ \t]{2,}/g, " ")
-		.replace(/\s+\n/g, "\n")
-		.trim();
-	removed += before - cleaned.length;
+// The rule engine itself lives in data/rules.js (shared with background.js).
+// Falls back to RULES (English, or the fallback rule) when the detected
+// language has no pack loaded.
+function rulesFor(text) {
+	const set = rulesForLanguage(RULE_SETS, detectLanguage(text));
+	return set.length ? set : RULES;
+}
 
-	return { cleaned, removed, hits };
+function applyRules(text) {
+	return applyRuleSet(text, rulesFor(text));
 }
 
-function summarize(hits, removed, savedTokens) {
+function summarize(hits, removed, savedTokens, language = null) {
 	const counts = {};
 	for (const h of hits) {
 		const key = `${h.id}|${h.explain}`;
@@ -136,6 +266,9 @@ function summarize(hits, removed, savedTokens) {
 	return {
 		removedChars: removed,
 		savedTokens,
+		savedCost: estimateCost(savedTokens, ACTIVE_MODEL, priceTable),
+		model: ACTIVE_MODEL,
+		language,
 		hits: Object.values(counts).sort((a, b) => b.count - a.count),
 	};
 }
@@ -146,12 +279,33 @@ function ensureBadge() {
 	badge = document.createElement("div");
 	badge.className = "ph-badge";
 	badge.innerHTML = `
+    <span class="ph-lang"></span>
     <span class="ph-text"></span>
+    <span class="ph-policy"></span>
+    <button class="ph-suggest"></button>
     <button class="ph-clean">Clean</button>
+    <button class="ph-undo" title="Undo last clean (Alt+Shift+U)">Undo</button>
     <button class="ph-close" aria-label="Close">×</button>
+    <div class="ph-suggestions"></div>
+    <div class="ph-history"></div>
+    <ul class="ph-lint"></ul>
+    <div class="ph-secrets">
+      <span class="ph-secrets-text"></span>
+      <button class="ph-mask">Mask</button>
+    </div>
   `;
 	const closeBtn = badge.querySelector?.(".ph-close");
 	if (closeBtn) closeBtn.onclick = () => hideBadge();
+	const suggestBtn = badge.querySelector?.(".ph-suggest");
+	if (suggestBtn) {
+		suggestBtn.onclick = () => {
+			suggestionsOpen = !suggestionsOpen;
+			if (lastTarget) updateBadge(lastTarget);
+		};
+	}
+	// Keep focus in the editor so its blur handler doesn't hide the badge
+	// before a button click lands
+	badge.addEventListener("mousedown", (e) => e.preventDefault());
 
 	// Append defensively (body may be missing very early)
 	(document.body || document.documentElement).appendChild(badge);
@@ -175,21 +329,54 @@ function placeBadgeNear(target) {
 }
 
 function updateBadge(target) {
-	if (!isEditableNode(target) || RULES.length === 0) return;
+	if (!siteActive || !isEditableNode(target) || RULES.length === 0) return;
+	if (pendingSend?.target === target) return; // keep "Checking prompt…" up
+	refreshActiveModel();
 
 	const raw = readVal(target);
 	const rawTrim = (raw || "").trim();
 	if (rawTrim.length === 0) {
 		lastSummary = null;
 		hideBadge();
+		clearHighlights();
 		return;
 	}
 
 	const { cleaned, removed, hits } = applyRules(raw);
 	const savedTokens = Math.max(0, tokens(raw) - tokens(cleaned));
-	lastSummary = summarize(hits, removed, savedTokens);
+	const language = detectLanguage(raw);
+	lastSummary = summarize(hits, removed, savedTokens, language);
+	const suggestions = suggestRewrites(raw, PHRASES);
+	const recall = historyRecallFor(target, raw);
+	const secrets = findSecrets(raw, REDACTORS);
+	const issues = [...lintPrompt(raw), ...findTurnWaste(raw, threadTurns)];
+	showHighlights(
+		target,
+		(text) => findRuleMatches(text, rulesFor(text)),
+		(m, replacement) =>
+			recordOutcome("clean", {
+				hits: [m],
+				chars: m.match.length - replacement.length,
+				savedTokens: Math.max(0, tokens(m.match) - tokens(replacement)),
+			})
+	);
 
-	if (removed <= 0) {
+	// Local signals only; similarity is checked when Enter is pressed
+	const verdict =
+		policyMode === "off"
+			? { triggered: false, reasons: [] }
+			: evaluatePolicy({ hits, issues, savedTokens }, policySettings);
+
+	const undoable = canUndo(target);
+	if (
+		removed <= 0 &&
+		suggestions.length === 0 &&
+		!undoable &&
+		!verdict.triggered &&
+		!recall &&
+		secrets.length === 0 &&
+		issues.length === 0
+	) {
 		hideBadge();
 		return;
 	}
@@ -197,23 +384,131 @@ function updateBadge(target) {
 	const b = ensureBadge();
 	const textSpan = b.querySelector?.(".ph-text");
 	if (textSpan)
-		textSpan.textContent = `Cleanable: ${removed} chars (~${savedTokens} tokens)`;
+		textSpan.textContent =
+			removed > 0
+				? `Cleanable: ${removed} chars (${formatTokens(
+						savedTokens,
+						ACTIVE_MODEL
+				  )}, saves ~${formatCost(lastSummary.savedCost)})`
+				: suggestions.length
+				? "Wordy phrasing found"
+				: undoable
+				? "Prompt cleaned"
+				: secrets.length
+				? "Sensitive data found"
+				: issues.length
+				? "Check this prompt"
+				: "Asked before";
+	const langSpan = b.querySelector?.(".ph-lang");
+	if (langSpan) {
+		langSpan.style.display = language ? "" : "none";
+		langSpan.textContent = language ? language.toUpperCase() : "";
+		langSpan.title = language ? `${LANGUAGE_NAMES[language]} rules` : "";
+	}
+	const policySpan = b.querySelector?.(".ph-policy");
+	if (policySpan) {
+		policySpan.style.display = verdict.triggered ? "" : "none";
+		policySpan.textContent = verdict.triggered
+			? `${blocksOnEnter(policyMode) ? "Will be blocked" : "Wasteful"}: ${verdict.reasons.join("; ")}`
+			: "";
+	}
 	b.style.display = "flex";
+	renderSuggestions(b, target, suggestions);
+	renderHistoryRecall(b, recall);
+	renderSecrets(b, target, secrets);
+	renderIssues(b.querySelector?.(".ph-lint"), issues);
 	placeBadgeNear(target);
 
 	const cleanBtn = b.querySelector?.(".ph-clean");
 	if (cleanBtn) {
-		cleanBtn.onclick = () => {
-			writeVal(target, cleaned);
+		cleanBtn.style.display = removed > 0 ? "" : "none";
+		cleanBtn.onclick = () => openCleanPreview(target);
+	}
+	const undoBtn = b.querySelector?.(".ph-undo");
+	if (undoBtn) {
+		undoBtn.style.display = undoable ? "" : "none";
+		undoBtn.onclick = () => undoClean(target);
+	}
+}
+
+// Warning for secrets/PII in the prompt itself; "Mask" applies the same
+// masks used for outgoing analysis
+function renderSecrets(b, target, secrets) {
+	const panel = b.querySelector?.(".ph-secrets");
+	if (!panel) return;
+	panel.style.display = secrets.length ? "flex" : "none";
+	if (!secrets.length) return;
+	const labels = [...new Set(secrets.map((s) => s.label))];
+	panel.querySelector(".ph-secrets-text").textContent = `Sensitive: ${labels.join(
+		", "
+	)} — mask before sending`;
+	panel.querySelector(".ph-mask").onclick = () => {
+		const { text } = redactText(readVal(target), REDACTORS);
+		if (!writeVal(target, text)) return;
+		target.dispatchEvent(new InputEvent("input", { bubbles: true, cancelable: true }));
+	};
+}
+
+// Structure issues (data/lint.js), on the badge and in the modal
+function renderIssues(list, issues) {
+	if (!list) return;
+	list.style.display = issues.length ? "block" : "none";
+	list.innerHTML = "";
+	for (const issue of issues) {
+		const li = document.createElement("li");
+		li.className = `ph-lint-${issue.severity}`;
+		li.textContent = issue.explain;
+		list.appendChild(li);
+	}
+}
+
+// Suggestion list under the badge; each row can be accepted on its own
+function renderSuggestions(b, target, suggestions) {
+	const toggle = b.querySelector?.(".ph-suggest");
+	const panel = b.querySelector?.(".ph-suggestions");
+	if (!toggle || !panel) return;
+
+	toggle.style.display = suggestions.length ? "" : "none";
+	toggle.textContent = `${suggestions.length} rewrite${
+		suggestions.length === 1 ? "" : "s"
+	} ${suggestionsOpen ? "▴" : "▾"}`;
+	panel.style.display = suggestionsOpen && suggestions.length ? "block" : "none";
+	panel.innerHTML = "";
+	if (!suggestionsOpen) return;
+
+	for (const s of suggestions) {
+		const row = document.createElement("div");
+		row.className = "ph-suggestion";
+		row.innerHTML = `
+      <span class="ph-diff"><del></del> → <ins></ins></span>
+      <span class="ph-explain"></span>
+      <button class="ph-accept">Accept</button>
+    `;
+		row.querySelector("del").textContent = s.before.trim();
+		row.querySelector("ins").textContent = s.after || "(remove)";
+		row.querySelector(".ph-explain").textContent = s.explain;
+		row.querySelector(".ph-accept").onclick = () => {
+			const next = applySuggestion(readVal(target), s);
+			if (next == null) {
+				updateBadge(target); // text changed underneath; refresh the list
+				return;
+			}
+			if (!writeVal(target, next)) return;
 			target.dispatchEvent(
 				new InputEvent("input", { bubbles: true, cancelable: true })
 			);
-			hideBadge();
+			recordOutcome("clean", {
+				hits: [{ id: s.id }],
+				chars: s.before.length - s.after.length,
+				savedTokens: Math.max(0, tokens(s.before) - tokens(s.after)),
+			});
 		};
+		panel.appendChild(row);
 	}
 }
 
 function tickReposition() {
+	repositionHighlights();
 	if (!badge || badge.style.display === "none" || !lastTarget) return;
 	if (!isInViewport(lastTarget)) {
 		hideBadge();
@@ -224,40 +519,192 @@ function tickReposition() {
 addEventListener("scroll", tickReposition, true);
 addEventListener("resize", tickReposition, true);
 
-// =================== Blocking Policy + Modal (2 buttons) ===================
-const BLOCK_RULE_IDS = new Set([
-	"please",
-	"polite-thanks",
-	"hedges",
-	"verbose-openers",
-]);
-const BLOCK_REMOVED_CHARS_THRESHOLD = 5;
+// =================== Clean Preview + Undo ===================
+// Clean (badge, popup, Alt+Shift+K) first shows a word diff of what will
+// change; applying it pushes the previous text and caret onto a per-editor
+// undo stack (badge "Undo", popup, Alt+Shift+U).
+const UNDO_LIMIT = 20;
+const undoStacks = new WeakMap(); // editor → [{ before, after, caret, outcome }]
+let previewEl = null;
+
+function readCaret(el) {
+	if (el.tagName?.toLowerCase() === "textarea") {
+		return { start: el.selectionStart, end: el.selectionEnd };
+	}
+	const sel = getSelection();
+	if (!sel?.rangeCount || !el.contains(sel.focusNode)) return null;
+	const r = document.createRange();
+	r.selectNodeContents(el);
+	r.setEnd(sel.focusNode, sel.focusOffset);
+	const pos = r.toString().length;
+	return { start: pos, end: pos };
+}
 
-function analyzeWaste(text) {
-	const res = applyRules(text);
-	const removedChars = text.length - res.cleaned.length;
-	const hasBlockRule = res.hits.some((h) => BLOCK_RULE_IDS.has(h.id));
-	const overThreshold = removedChars >= BLOCK_REMOVED_CHARS_THRESHOLD;
-	return { ...res, shouldBlock: hasBlockRule || overThreshold };
+function restoreCaret(el, caret) {
+	if (!caret) return;
+	try {
+		el.focus();
+		if (el.tagName?.toLowerCase() === "textarea") {
+			el.setSelectionRange(caret.start, caret.end);
+			return;
+		}
+		const p = pointAt(textIndex(el), caret.start);
+		if (!p) return;
+		const r = document.createRange();
+		r.setStart(p.node, p.offset);
+		r.collapse(true);
+		const sel = getSelection();
+		sel.removeAllRanges();
+		sel.addRange(r);
+	} catch {}
 }
 
-// Create a reusable modal with 2 buttons: Clear + Send anyway
+// Undo only applies while the editor still holds the cleaned text; once
+// the user edits further, the entry is stale.
+function canUndo(el) {
+	const stack = undoStacks.get(el);
+	const top = stack?.[stack.length - 1];
+	return !!top && readVal(el) === top.after;
+}
+
+function undoClean(el) {
+	if (!el || !canUndo(el)) return false;
+	const entry = undoStacks.get(el).pop();
+	writeVal(el, entry.before);
+	el.dispatchEvent(new InputEvent("input", { bubbles: true, cancelable: true }));
+	restoreCaret(el, entry.caret);
+	const { hits, chars, savedTokens } = entry.outcome;
+	recordOutcome("undo", { hits, chars: -chars, savedTokens: -savedTokens });
+	return true;
+}
+
+// Returns false when the editor couldn't take the cleaned text
+function applyClean(target, raw, cleaned, hits) {
+	const outcome = {
+		hits,
+		chars: raw.length - cleaned.length,
+		savedTokens: Math.max(0, tokens(raw) - tokens(cleaned)),
+	};
+	const caret = readCaret(target);
+	if (!writeVal(target, cleaned)) return false;
+	const stack = undoStacks.get(target) || [];
+	stack.push({ before: raw, after: readVal(target), caret, outcome });
+	undoStacks.set(target, stack.slice(-UNDO_LIMIT));
+	target.dispatchEvent(
+		new InputEvent("input", { bubbles: true, cancelable: true })
+	);
+	recordOutcome("clean", outcome);
+	return true;
+}
+
+function ensurePreview() {
+	if (previewEl) return previewEl;
+	const wrap = document.createElement("div");
+	wrap.className = "ph-modal-backdrop";
+	wrap.innerHTML = `
+    <div class="ph-modal ph-preview" role="dialog" aria-modal="true" aria-labelledby="ph-preview-title" tabindex="-1">
+      <h3 id="ph-preview-title" class="ph-modal-title">Review cleanup</h3>
+      <div class="ph-modal-stats">
+        <span class="ph-pill" id="ph-preview-removed"></span>
+        <span class="ph-pill" id="ph-preview-tokens"></span>
+      </div>
+      <div class="ph-diff-view"></div>
+      <div class="ph-actions">
+        <button class="ph-btn" id="ph-preview-cancel">Cancel</button>
+        <button class="ph-btn ph-primary" id="ph-preview-apply">Apply</button>
+      </div>
+    </div>
+  `;
+	wrap.addEventListener("keydown", (e) => {
+		if (e.key === "Escape") hidePreview();
+	});
+	(document.body || document.documentElement).appendChild(wrap);
+	previewEl = wrap;
+	return previewEl;
+}
+
+function hidePreview() {
+	if (previewEl) previewEl.style.display = "none";
+}
+
+// Inline word diff: removed text in <del>, added text in <ins>
+function renderDiff(view, raw, cleaned) {
+	view.innerHTML = "";
+	for (const part of diffWords(raw, cleaned)) {
+		if (part.type === "same") {
+			view.append(part.text);
+		} else {
+			const el = document.createElement(part.type);
+			el.textContent = part.text;
+			view.appendChild(el);
+		}
+	}
+}
+
+// Returns false when there is nothing to clean
+function openCleanPreview(target) {
+	if (!isEditableNode(target)) return false;
+	const raw = readVal(target);
+	const { cleaned, hits } = applyRules(raw);
+	if (cleaned === raw) return false;
+
+	const root = ensurePreview();
+	renderDiff(root.querySelector(".ph-diff-view"), raw, cleaned);
+	root.querySelector("#ph-preview-removed").textContent = `−${
+		raw.length - cleaned.length
+	} chars`;
+	root.querySelector("#ph-preview-tokens").textContent = formatTokens(
+		Math.max(0, tokens(raw) - tokens(cleaned)),
+		ACTIVE_MODEL
+	);
+	root.querySelector("#ph-preview-cancel").onclick = () => {
+		hidePreview();
+		target.focus();
+	};
+	root.querySelector("#ph-preview-apply").onclick = () => {
+		hidePreview();
+		applyClean(target, raw, cleaned, hits);
+		target.focus();
+	};
+	root.style.display = "flex";
+	root.querySelector(".ph-modal")?.focus();
+	return true;
+}
+
+// =================== Blocking Modal ===================
+// Whether to block is decided by evaluatePolicy (data/policy.js); the
+// modal shows why, using the real analysis: the most similar past prompt,
+// the rule hits and the cleaned text.
+
+const MODAL_MATCH_PREVIEW = 280; // chars of the similar past prompt shown
+
+// Create a reusable modal: Send cleaned / Send original / Edit / Clear all
 function ensureModal() {
 	if (modalEl) return modalEl;
 
 	const wrap = document.createElement("div");
 	wrap.className = "ph-modal-backdrop";
 	wrap.innerHTML = `
-    <div class="ph-modal" role="dialog" aria-modal="true" aria-labelledby="ph-title" aria-describedby="ph-desc" tabindex="-1">
-      <h3 id="ph-title" class="ph-modal-title">This prompt looks wasteful</h3>
-      <p id="ph-desc" class="ph-modal-desc">We detected this prompt is unnecessary and a waste of computation. Clear it?</p>
+    <div class="ph-modal ph-blocked" role="dialog" aria-modal="true" aria-labelledby="ph-title" aria-describedby="ph-desc" tabindex="-1">
+      <h3 id="ph-title" class="ph-modal-title"></h3>
+      <p id="ph-desc" class="ph-modal-desc"></p>
+      <div class="ph-modal-similar">
+        <span class="ph-pill" id="ph-similarity"></span>
+        <blockquote id="ph-similar-prompt"></blockquote>
+      </div>
       <div class="ph-modal-stats">
         <span class="ph-pill" id="ph-removed"></span>
         <span class="ph-pill" id="ph-tokens"></span>
+        <span class="ph-pill" id="ph-cost"></span>
       </div>
+      <ul class="ph-modal-hits"></ul>
+      <ul class="ph-lint ph-modal-lint"></ul>
+      <div class="ph-diff-view"></div>
       <div class="ph-actions">
-        <button class="ph-btn ph-primary" id="ph-clear">Clear</button>
-        <button class="ph-btn" id="ph-send-anyway">Send anyway</button>
+        <button class="ph-btn" id="ph-clear">Clear all</button>
+        <button class="ph-btn" id="ph-edit">Edit</button>
+        <button class="ph-btn" id="ph-send-original">Send original</button>
+        <button class="ph-btn ph-primary" id="ph-send-cleaned">Send cleaned</button>
       </div>
     </div>
   `;
@@ -266,41 +713,73 @@ function ensureModal() {
 	return modalEl;
 }
 
-// Safer showModal with guards and matching ids
-function showModal(summary, { onClear, onSendAnyway }) {
+// info: { summary, verdict, analysis, raw, cleaned, issues, hard }
+// In hard mode there is no "Send original": the prompt has to change
+// (edited by hand or cleaned) before it can go out.
+function showModal(info, { onSendCleaned, onSendOriginal, onEdit, onClear }) {
 	const root = ensureModal();
 	if (!root || typeof root.querySelector !== "function") return;
+	const { summary, verdict, analysis, raw, cleaned, issues = [], hard } = info;
+	const $ = (sel) => root.querySelector(sel);
 
-	const removedEl = root.querySelector("#ph-removed");
-	const tokensEl = root.querySelector("#ph-tokens");
-	if (removedEl)
-		removedEl.textContent = `Removable: ${summary.removedChars} chars`;
-	if (tokensEl) tokensEl.textContent = `~${summary.savedTokens} tokens`;
+	$("#ph-title").textContent = hard
+		? "Edit this prompt before sending"
+		: "This prompt looks wasteful";
+	$("#ph-desc").textContent = `Blocked because: ${verdict.reasons.join("; ")}.`;
 
-	root.style.display = "flex";
+	// Similarity: only when a backend found a past prompt worth showing
+	const score = analysis?.maxSimilarity || 0;
+	const similar = $(".ph-modal-similar");
+	similar.style.display = score > 0 ? "" : "none";
+	$("#ph-similarity").textContent = `${Math.round(score * 100)}% similar to an earlier prompt`;
+	const quote = $("#ph-similar-prompt");
+	const match = analysis?.match || "";
+	quote.style.display = match ? "" : "none";
+	quote.textContent =
+		match.length > MODAL_MATCH_PREVIEW ? `${match.slice(0, MODAL_MATCH_PREVIEW)}…` : match;
 
-	const dialog = root.querySelector(".ph-modal");
-	const clearBtn = root.querySelector("#ph-clear");
-	const sendBtn = root.querySelector("#ph-send-anyway");
-	if (dialog?.focus) dialog.focus();
+	$("#ph-removed").textContent = `Removable: ${summary.removedChars} chars`;
+	$("#ph-tokens").textContent = formatTokens(summary.savedTokens, summary.model);
+	$("#ph-cost").textContent = `saves ~${formatCost(summary.savedCost)}`;
 
-	if (clearBtn) {
-		clearBtn.onclick = () => {
-			hideModal();
-			try {
-				onClear && onClear();
-			} catch {}
-		};
+	const hitList = $(".ph-modal-hits");
+	hitList.innerHTML = "";
+	for (const h of summary.hits) {
+		const li = document.createElement("li");
+		li.textContent = `${h.explain || h.id} ×${h.count}`;
+		hitList.appendChild(li);
 	}
-	if (sendBtn) {
-		sendBtn.onclick = () => {
+	renderIssues($(".ph-modal-lint"), issues);
+
+	const canClean = cleaned !== raw && cleaned.trim().length > 0;
+	const view = $(".ph-diff-view");
+	view.style.display = canClean ? "" : "none";
+	if (canClean) renderDiff(view, raw, cleaned);
+
+	const buttons = {
+		"#ph-send-cleaned": canClean ? onSendCleaned : null,
+		"#ph-send-original": hard ? null : onSendOriginal,
+		"#ph-edit": onEdit,
+		"#ph-clear": onClear,
+	};
+	let primary = null;
+	for (const [sel, fn] of Object.entries(buttons)) {
+		const btn = $(sel);
+		btn.style.display = fn ? "" : "none";
+		btn.onclick = () => {
 			hideModal();
 			try {
-				onSendAnyway && onSendAnyway();
+				fn && fn();
 			} catch {}
 		};
+		if (fn && !primary) primary = btn;
 	}
 
+	root.style.display = "flex";
+	const dialog = $(".ph-modal");
+	if (primary?.focus) primary.focus();
+	else if (dialog?.focus) dialog.focus();
+
 	const onKey = (e) => {
 		if (e.key === "Escape") {
 			hideModal();
@@ -314,20 +793,215 @@ function hideModal() {
 	if (modalEl) modalEl.style.display = "none";
 }
 
-// =================== Submit Helpers ===================
-function tryClickSendButton() {
-	const sels = [
-		"[data-testid='send-button']", // ChatGPT
-		"button[aria-label*='Send']",
+// =================== Analysis (via background.js) ===================
+// All analysis goes through the service worker's ANALYZE_TEXT contract,
+// which walks the backend chain configured on the options page within
+// budgetMs. A local timer backs the budget up in case the worker itself
+// is slow to wake.
+const ANALYSIS_BUDGET_SLACK_MS = 300;
+
+// Nothing leaves the page unmasked
+const outgoing = (text) => redactText(text, REDACTORS).text;
+
+function requestAnalysis(text, { id, budgetMs } = {}) {
+	return new Promise((resolve, reject) => {
+		const timer =
+			budgetMs > 0 &&
+			setTimeout(
+				() => reject(new Error(`TIMEOUT ${budgetMs}ms`)),
+				budgetMs + ANALYSIS_BUDGET_SLACK_MS
+			);
+		const message = { type: "ANALYZE_TEXT", text: outgoing(text), id, budgetMs };
+		chrome.runtime.sendMessage(message, (resp) => {
+			clearTimeout(timer);
+			const err = chrome.runtime.lastError;
+			if (err) return reject(err);
+			if (!resp?.ok) return reject(new Error(resp?.error || "NO_RESPONSE"));
+			resolve(resp.data);
+		});
+	});
+}
+
+function cancelAnalysis(id) {
+	try {
+		chrome.runtime.sendMessage({ type: "ANALYZE_CANCEL", id }, () => {
+			void chrome.runtime.lastError;
+		});
+	} catch {}
+}
+
+// In-flight indicator while Enter is held for analysis
+function showChecking(target) {
+	const b = ensureBadge();
+	b.classList.add("ph-checking");
+	const textSpan = b.querySelector?.(".ph-text");
+	if (textSpan) textSpan.textContent = "Checking prompt…";
+	b.style.display = "flex";
+	placeBadgeNear(target);
+}
+
+function stopChecking() {
+	badge?.classList.remove("ph-checking");
+}
+
+// The user went back to typing: drop the held send and its analysis
+function cancelPendingSend() {
+	if (!pendingSend) return;
+	const { id, target } = pendingSend;
+	pendingSend = null;
+	cancelAnalysis(id);
+	stopChecking();
+	updateBadge(target);
+}
+
+// Remember a sent prompt for the local similarity backend (and the
+// prompt history, if enabled)
+const HISTORY_URL_SETTLE_MS = 5000; // new chats get their own URL after sending
+
+function recordPrompt(text) {
+	const url = location.href;
+	try {
+		chrome.runtime.sendMessage(
+			{ type: "RECORD_PROMPT", text: outgoing(text), url, site: location.hostname },
+			(resp) => {
+				void chrome.runtime.lastError;
+				const id = resp?.historyId;
+				if (!id) return;
+				setTimeout(() => {
+					if (location.href === url) return;
+					chrome.runtime.sendMessage(
+						{ type: "HISTORY_SET_URL", id, url: location.href },
+						() => void chrome.runtime.lastError
+					);
+				}, HISTORY_URL_SETTLE_MS);
+			}
+		);
+	} catch {}
+	historyHit = null;
+}
+
+// =================== Prompt History Recall (via background.js) ===================
+// While typing, ask for the closest prompt sent before. The lookup is
+// debounced and its answer lands on the badge as "You asked something
+// 92% similar 2 hours ago", linking back to that conversation.
+const HISTORY_CHECK_DELAY_MS = 600;
+const HISTORY_MIN_CHARS = 20; // short prompts match too much to be useful
+
+// Recall for the current text if we have one; otherwise schedule a lookup
+function historyRecallFor(target, raw) {
+	if (!historyEnabled || raw.trim().length < HISTORY_MIN_CHARS) return null;
+	if (historyHit?.forText === raw) {
+		const m = historyHit.match;
+		return m && m.similarity >= policySettings.similarityThreshold ? m : null;
+	}
+	clearTimeout(historyTimer);
+	historyTimer = setTimeout(() => {
+		try {
+			const message = { type: "HISTORY_MATCH", text: outgoing(raw) };
+			chrome.runtime.sendMessage(message, (resp) => {
+				if (chrome.runtime.lastError || !resp?.ok) return;
+				historyHit = { forText: raw, match: resp.match };
+				// Only repaint if the user hasn't typed on meanwhile
+				if (lastTarget === target && readVal(target) === raw) updateBadge(target);
+			});
+		} catch {}
+	}, HISTORY_CHECK_DELAY_MS);
+	return null;
+}
+
+function formatAgo(ts) {
+	const s = Math.max(0, (Date.now() - ts) / 1000);
+	const units = [
+		["day", 86400],
+		["hour", 3600],
+		["minute", 60],
 	];
-	for (const sel of sels) {
-		const btn = document.querySelector(sel);
-		if (btn) {
-			btn.click();
-			return true;
-		}
+	for (const [name, size] of units) {
+		const n = Math.floor(s / size);
+		if (n >= 1) return `${n} ${name}${n === 1 ? "" : "s"} ago`;
+	}
+	return "just now";
+}
+
+function renderHistoryRecall(b, recall) {
+	const panel = b.querySelector?.(".ph-history");
+	if (!panel) return;
+	panel.style.display = recall ? "block" : "none";
+	panel.textContent = "";
+	if (!recall) return;
+
+	const line = document.createElement("span");
+	line.textContent = `You asked something ${Math.round(
+		recall.similarity * 100
+	)}% similar ${formatAgo(recall.ts)}`;
+	line.title = recall.text;
+	panel.appendChild(line);
+
+	if (recall.url && recall.url !== location.href) {
+		const link = document.createElement("a");
+		link.href = recall.url;
+		link.target = "_blank";
+		link.rel = "noopener";
+		link.textContent = "Open that conversation";
+		panel.append(" — ", link);
+	} else if (recall.url) {
+		panel.append(" in this conversation");
 	}
-	return false;
+}
+
+// =================== Savings Ledger (via background.js) ===================
+// See data/ledger.js for the entry format.
+function recordOutcome(action, { hits = [], chars = 0, savedTokens = 0 } = {}) {
+	const entry = {
+		action,
+		site: location.hostname,
+		model: ACTIVE_MODEL,
+		ruleIds: [...new Set(hits.map((h) => h.id))],
+		chars,
+		tokens: savedTokens,
+		cost: estimateCost(savedTokens, ACTIVE_MODEL, priceTable),
+	};
+	try {
+		chrome.runtime.sendMessage({ type: "LEDGER_RECORD", entry }, () => {
+			void chrome.runtime.lastError;
+		});
+	} catch {}
+}
+
+// =================== Conversation Thread (data/turns.js) ===================
+// Re-read on page changes (watchThread) and right before a send. Totals
+// go to background.js only when they changed, and only for conversations
+// that already have an id; a new chat gets one after its first send.
+function refreshThread() {
+	threadTurns = readTurns(ADAPTER, tokens, tokenCountKey(ACTIVE_ENCODING));
+	const id = ADAPTER.conversationId();
+	if (!id || threadTurns.length === 0) {
+		lastConversation = null;
+		return;
+	}
+	const entry = {
+		key: `${ADAPTER.id}:${id}`,
+		site: location.hostname,
+		url: location.href,
+		title: document.title.slice(0, 100),
+		model: ACTIVE_MODEL,
+		...threadStats(threadTurns),
+	};
+	if (JSON.stringify(entry) === JSON.stringify(lastConversation)) return;
+	lastConversation = entry;
+	try {
+		chrome.runtime.sendMessage({ type: "CONVERSATION_UPDATE", entry }, () => {
+			void chrome.runtime.lastError;
+		});
+	} catch {}
+}
+
+// =================== Submit Helpers ===================
+function tryClickSendButton() {
+	const btn = ADAPTER.findSendButton();
+	if (!btn) return false;
+	btn.click();
+	return true;
 }
 
 function simulateEnter(el) {
@@ -352,8 +1026,9 @@ function isSubmitEnter(e) {
 }
 
 // =================== Wiring: find editors & handle events ===================
+// Returns true when el is a newly attached editor
 function attachTo(el) {
-	if (!isEditableNode(el) || attached.has(el)) return;
+	if (!siteActive || !isEditableNode(el) || attached.has(el)) return false;
 	attached.add(el);
 
 	const handler = () => {
@@ -362,33 +1037,28 @@ function attachTo(el) {
 	};
 	el.addEventListener("input", handler, { passive: true });
 	el.addEventListener("focus", handler, { passive: true });
-	el.addEventListener("blur", () => hideBadge(), { passive: true });
+	el.addEventListener(
+		"blur",
+		() => {
+			hideBadge();
+			clearHighlights();
+		},
+		{ passive: true }
+	);
 
 	handler();
 	// console.log("[PH] attached to editor:", el);
+	return true;
 }
 
-function scanEditors(root = document) {
+// Whole-page pass. SPA changes are picked up incrementally by the
+// discovery layer (data/discovery.js), which only scans what was added.
+function scanEditors() {
 	try {
-		root
-			.querySelectorAll("textarea,[contenteditable],[role='textbox']")
-			.forEach(attachTo);
-		root.querySelectorAll("*").forEach((el) => {
-			if (el.shadowRoot) scanEditors(el.shadowRoot);
-		});
+		if (siteActive) rescanAllEditors();
 	} catch {}
 }
 
-// Initial scan
-scanEditors();
-
-// Re-scan for SPA changes
-new MutationObserver(() => scanEditors()).observe(document.documentElement, {
-	subtree: true,
-	childList: true,
-	attributes: true,
-});
-
 // Fallback discovery via event path (for closed shadow roots)
 function findCandidateFromEvent(e) {
 	const path = typeof e.composedPath === "function" ? e.composedPath() : [];
@@ -401,102 +1071,193 @@ function findCandidateFromEvent(e) {
 
 function onAnyInputLikeEvent(e) {
 	const candidate = findCandidateFromEvent(e);
+	if (
+		e.type === "input" &&
+		pendingSend?.target === candidate &&
+		readVal(candidate) !== pendingSend.raw
+	) {
+		cancelPendingSend();
+	}
 	if (candidate) {
 		attachTo(candidate);
+		watchRootOf(candidate);
 		lastTarget = candidate;
 		updateBadge(candidate);
 	}
 }
-addEventListener("input", onAnyInputLikeEvent, true);
-addEventListener("focusin", onAnyInputLikeEvent, true);
 
-// Intercept Enter to possibly block and show modal (2 options)
-addEventListener(
-	"keydown",
-	(e) => {
-		if (!isSubmitEnter(e)) return;
+// Intercept Enter to possibly block and show the modal
+function onSubmitKeydown(e) {
+	// Our own simulateEnter (untrusted) must reach the page unchecked
+	if (!siteActive || !e.isTrusted || !isSubmitEnter(e)) return;
+	if (pendingSend) {
+		// Already checking this send; don't queue a second one
+		e.preventDefault();
+		e.stopPropagation();
+		return;
+	}
+	refreshActiveModel();
 
-		const target = findCandidateFromEvent(e);
-		if (!target) return;
+	const target = findCandidateFromEvent(e);
+	if (!target) return;
 
-		const raw = readVal(target);
+	const raw = readVal(target);
+	const local = applyRules(raw);
+	refreshThread(); // the reply may have finished since the last read
+	const issues = [...lintPrompt(raw), ...findTurnWaste(raw, threadTurns)];
+	const mode = policyMode;
+	if (!blocksOnEnter(mode)) {
+		// "warn" already flagged the prompt on the badge; let it through
+		recordPrompt(raw);
+		return;
+	}
 
-		// async work:
-		e.preventDefault(); // stop default immediately so we can await
-		e.stopPropagation();
+	// async work:
+	e.preventDefault(); // stop default immediately so we can await
+	e.stopPropagation();
 
-		(async () => {
-			try {
-				const resp = await fetch(
-					"https://computesimilarity-tz4nnskwtq-uc.a.run.app",
-					{
-						method: "POST",
-						headers: { "Content-Type": "application/json" },
-						body: JSON.stringify({ input: raw }),
-					}
-				);
-				const analysis = await resp.json();
-				console.log("sanity here");
-				console.log(analysis);
-
-				const shouldBlock = analysis.maxSimilarity > 0.8;
-
-				const removedChars = 5;
-				const savedTokens = 5;
-				lastSummary = summarize(
-					[
-						{ id: 15, explain: "fsferhk", count: 4 },
-						{ id: 154, explain: "fsferrfefhk", count: 34 },
-					],
-					removedChars,
-					savedTokens
-				);
-				console.log(shouldBlock);
-
-				if (!shouldBlock) {
+	const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+	pendingSend = { id, target, raw };
+	showChecking(target);
+
+	(async () => {
+		try {
+			const settings = await loadSettings();
+			// A failed or late answer is handled by settings.failMode
+			let analysisFailed = false;
+			const analysis = await requestAnalysis(raw, {
+				id,
+				budgetMs: settings.interceptBudgetMs,
+			}).catch((err) => {
+				console.warn("[PH] analysis failed", err);
+				analysisFailed = true;
+				return null;
+			});
+			if (pendingSend?.id !== id) return; // cancelled by typing
+			pendingSend = null;
+			stopChecking();
+
+			const savedTokens = Math.max(0, tokens(raw) - tokens(local.cleaned));
+			const verdict = evaluatePolicy(
+				{
+					hits: local.hits,
+					issues,
+					savedTokens,
+					similarity: analysis?.maxSimilarity ?? null,
+					analysisFailed,
+				},
+				settings
+			);
+
+			lastSummary = summarize(local.hits, local.removed, savedTokens, detectLanguage(raw));
+			if (!verdict.triggered) {
+				hideBadge();
+				recordPrompt(raw);
+				simulateEnter(target); // send normally
+				return;
+			}
+
+			recordOutcome("block", { hits: local.hits });
+			const info = {
+				summary: lastSummary,
+				verdict,
+				analysis,
+				raw,
+				cleaned: local.cleaned,
+				issues,
+				hard: mode === "hard",
+			};
+			showModal(info, {
+				onSendCleaned: () => {
+					if (!applyClean(target, raw, local.cleaned, local.hits)) return;
+					hideBadge();
+					recordPrompt(local.cleaned);
+					// Let the editor's framework pick up the new text first
+					setTimeout(() => simulateEnter(target), 0);
+				},
+				onSendOriginal: () => {
 					hideBadge();
-					simulateEnter(target); // send normally
-					return;
-				}
-
-				showModal(lastSummary, {
-					onClear: () => {
-						writeVal(target, "");
-						target.dispatchEvent(
-							new InputEvent("input", { bubbles: true, cancelable: true })
-						);
-						hideBadge();
+					recordPrompt(raw);
+					recordOutcome("send-anyway", { hits: local.hits });
+					simulateEnter(target);
+				},
+				onEdit: () => {
+					target.focus();
+					updateBadge(target);
+				},
+				onClear: () => {
+					// Not writeVal: copying "" would only wipe the clipboard
+					if (!ADAPTER.write(target, "")) {
+						showWriteFailure("Can’t edit this editor — clear it by hand");
 						target.focus();
-					},
-					onSendAnyway: () => {
-						hideBadge();
-						simulateEnter(target);
-					},
-				});
-			} catch (err) {
-				console.error("analysis fetch failed", err);
-				// optionally fall back to local analyzeWaste(raw)
-				simulateEnter(target);
+						return;
+					}
+					target.dispatchEvent(
+						new InputEvent("input", { bubbles: true, cancelable: true })
+					);
+					recordOutcome("clear", {
+						hits: local.hits,
+						chars: raw.length,
+						savedTokens: tokens(raw),
+					});
+					hideBadge();
+					target.focus();
+				},
+			});
+		} catch (err) {
+			console.error("[PH] policy check failed", err);
+			if (pendingSend?.id !== id) return;
+			pendingSend = null;
+			stopChecking();
+			if (policySettings.failMode === "closed") {
+				updateBadge(target);
+				const b = ensureBadge();
+				const textSpan = b.querySelector?.(".ph-text");
+				if (textSpan) textSpan.textContent = "Couldn’t check this prompt — press Enter to retry";
+				b.style.display = "flex";
+				placeBadgeNear(target);
+				return;
 			}
-		})();
-	},
-	true
-);
+			recordPrompt(raw);
+			simulateEnter(target);
+		}
+	})();
+}
+
+function startWatching() {
+	startDiscovery(ADAPTER, attachTo);
+	addEventListener("input", onAnyInputLikeEvent, true);
+	addEventListener("focusin", onAnyInputLikeEvent, true);
+	addEventListener("keydown", onSubmitKeydown, true);
+	if (ADAPTER.userTurnSelector) watchThread(ADAPTER, refreshThread);
+}
+
+function stopWatching() {
+	stopDiscovery();
+	removeEventListener("input", onAnyInputLikeEvent, true);
+	removeEventListener("focusin", onAnyInputLikeEvent, true);
+	removeEventListener("keydown", onSubmitKeydown, true);
+	unwatchThread();
+	threadTurns = [];
+	cancelPendingSend();
+}
 
 // Refresh hooks after tab becomes visible again
 window.addEventListener("visibilitychange", () => {
-	if (!document.hidden) {
+	if (!document.hidden && siteActive) {
 		scanEditors();
 		if (lastTarget) updateBadge(lastTarget);
 	}
 });
 
-// =================== Popup Messaging (GET_SUMMARY / CLEAN_CURRENT) ===================
+// =================== Popup Messaging (GET_SUMMARY / CLEAN_CURRENT / UNDO_CLEAN) ===================
 chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
 	try {
 		if (msg?.type === "GET_SUMMARY") {
 			// console.log("[PH] GET_SUMMARY:", lastSummary);
-			safeRespond(() => sendResponse({ ok: true, summary: lastSummary }));
+			safeRespond(() =>
+				sendResponse({ ok: true, summary: lastSummary, conversation: lastConversation })
+			);
 			return;
 		}
 		if (
@@ -504,17 +1265,14 @@ chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
 			lastTarget &&
 			isEditableNode(lastTarget)
 		) {
-			const raw = readVal(lastTarget);
-			const { cleaned } = applyRules(raw);
-			writeVal(lastTarget, cleaned);
-			lastSummary = summarize(
-				[],
-				raw.length - cleaned.length,
-				Math.max(0, tokens(raw) - tokens(cleaned))
-			);
-			hideBadge();
-			// console.log("[PH] CLEAN_CURRENT applied");
-			safeRespond(() => sendResponse({ ok: true }));
+			// Applied from the preview; the popup only learns it opened
+			const opened = openCleanPreview(lastTarget);
+			safeRespond(() => sendResponse({ ok: opened, preview: opened }));
+			return;
+		}
+		if (msg?.type === "UNDO_CLEAN") {
+			const undone = undoClean(lastTarget);
+			safeRespond(() => sendResponse({ ok: undone }));
 			return;
 		}
 	} catch {}
@@ -525,6 +1283,10 @@ window.__PH = {
 	get state() {
 		return { rulesLoaded: RULES.length, lastTarget, lastSummary };
 	},
+	// Discovery overhead counters (data/discovery.js)
+	get stats() {
+		return { ...discoveryStats };
+	},
 	rescan() {
 		scanEditors();
 		if (lastTarget) updateBadge(lastTarget);
@@ -0,0 +1,54 @@
+// ===============================================
+// data/conversations.js
+// ===============================================
+// Per-conversation token totals in chrome.storage.local. The content
+// script totals the thread on screen (threadStats in data/turns.js) and
+// sends CONVERSATION_UPDATE; background.js stores it here one write at a
+// time, like the ledger. The popup reads the list.
+//
+// Entry: { key, site, url, title, turns, userTokens, assistantTokens,
+//          wastedTurns, wastedTokens, ts }
+//   key: "<adapter id>:<conversation id>", one entry per conversation
+
+const CONVERSATIONS_KEY = "ph_conversations";
+const CONVERSATIONS_LIMIT = 200; // least recently updated are dropped first
+
+function loadConversations() {
+	return new Promise((resolve) => {
+		try {
+			chrome.storage.local.get({ [CONVERSATIONS_KEY]: [] }, (items) => {
+				const list = items?.[CONVERSATIONS_KEY];
+				resolve(Array.isArray(list) ? list : []);
+			});
+		} catch {
+			resolve([]);
+		}
+	});
+}
+
+// Serialize writes so tabs updating at once don't overwrite each other
+let conversationsQueue = Promise.resolve();
+function saveConversation(entry) {
+	conversationsQueue = conversationsQueue.catch(() => {}).then(async () => {
+		const list = (await loadConversations()).filter((c) => c.key !== entry.key);
+		list.push({ ...entry, ts: Date.now() });
+		await new Promise((resolve) =>
+			chrome.storage.local.set(
+				{ [CONVERSATIONS_KEY]: list.slice(-CONVERSATIONS_LIMIT) },
+				resolve
+			)
+		);
+	});
+	return conversationsQueue;
+}
+
+function conversationTokens(c) {
+	return (c.userTokens || 0) + (c.assistantTokens || 0);
+}
+
+// Conversations updated since sinceTs, most tokens first
+function topConversations(entries, sinceTs = 0) {
+	return entries
+		.filter((c) => c.ts >= sinceTs)
+		.sort((a, b) => conversationTokens(b) - conversationTokens(a));
+}
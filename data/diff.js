@@ -0,0 +1,77 @@
+// ===============================================
+// data/diff.js
+// ===============================================
+// Word-level diff for the Clean preview. Words, whitespace runs and
+// punctuation runs are the units, so a removed "please " shows as one
+// deletion instead of scattered characters.
+//
+// diffWords(a, b) → [{ type: "same" | "del" | "ins", text }]
+
+const DIFF_MAX_CELLS = 4e6; // LCS table budget before falling back
+
+function diffUnits(s) {
+	return s.match(/\s+|[\p{L}\p{N}_']+|[^\s\p{L}\p{N}_']+/gu) || [];
+}
+
+function pushPart(parts, type, text) {
+	if (!text) return;
+	const last = parts[parts.length - 1];
+	if (last && last.type === type) last.text += text;
+	else parts.push({ type, text });
+}
+
+function diffWords(a, b) {
+	const x = diffUnits(a || "");
+	const y = diffUnits(b || "");
+
+	// Common prefix/suffix first; cleaning usually touches little
+	let pre = 0;
+	while (pre < x.length && pre < y.length && x[pre] === y[pre]) pre++;
+	let suf = 0;
+	while (
+		suf < x.length - pre &&
+		suf < y.length - pre &&
+		x[x.length - 1 - suf] === y[y.length - 1 - suf]
+	) {
+		suf++;
+	}
+	const xs = x.slice(pre, x.length - suf);
+	const ys = y.slice(pre, y.length - suf);
+
+	const parts = [];
+	pushPart(parts, "same", x.slice(0, pre).join(""));
+
+	if ((xs.length + 1) * (ys.length + 1) > DIFF_MAX_CELLS) {
+		pushPart(parts, "del", xs.join(""));
+		pushPart(parts, "ins", ys.join(""));
+	} else {
+		// lcs[i][j] = LCS length of xs[i..] and ys[j..]
+		const cols = ys.length + 1;
+		const lcs = new Uint32Array((xs.length + 1) * cols);
+		for (let i = xs.length - 1; i >= 0; i--) {
+			for (let j = ys.length - 1; j >= 0; j--) {
+				lcs[i * cols + j] =
+					xs[i] === ys[j]
+						? lcs[(i + 1) * cols + j + 1] + 1
+						: Math.max(lcs[(i + 1) * cols + j], lcs[i * cols + j + 1]);
+			}
+		}
+		let i = 0;
+		let j = 0;
+		while (i < xs.length && j < ys.length) {
+			if (xs[i] === ys[j]) {
+				pushPart(parts, "same", xs[i++]);
+				j++;
+			} else if (lcs[(i + 1) * cols + j] >= lcs[i * cols + j + 1]) {
+				pushPart(parts, "del", xs[i++]);
+			} else {
+				pushPart(parts, "ins", ys[j++]);
+			}
+		}
+		pushPart(parts, "del", xs.slice(i).join(""));
+		pushPart(parts, "ins", ys.slice(j).join(""));
+	}
+
+	pushPart(parts, "same", x.slice(x.length - suf).join(""));
+	return parts;
+}
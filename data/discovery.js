@@ -0,0 +1,139 @@
+// ===============================================
+// data/discovery.js
+// ===============================================
+// Editor discovery that scales with what changed, not with page size.
+// Streaming chat replies mutate the DOM constantly; rescanning the whole
+// document (and every shadow root) per mutation is what we avoid here:
+//  - observers watch childList plus the few attributes that can turn an
+//    element into an editor, never every attribute change
+//  - only the subtrees named in mutation records are scanned, batched in
+//    an idle callback (with a timeout, so a busy page still gets one)
+//  - each open shadow root gets its own observer when it first shows up
+// Closed shadow roots stay invisible; the content script still finds
+// their editors from the event path on focus/input.
+//
+// adapter (data/adapters.js) says what an editor is: findEditors(root)
+// for editors under root, isEditor(el) for an added element itself.
+// onEditor(el) attaches to a candidate and returns true if it was a new
+// editor. test/fixtures/discovery_benchmark.html measures all this on a
+// streaming thread.
+
+const DISCOVERY_IDLE_TIMEOUT_MS = 250;
+const DISCOVERY_ATTRIBUTES = ["contenteditable", "role"];
+
+let discoveryAdapter = null;
+let discoveryOnEditor = null;
+let discoveryObservers = []; // [{ root, observer }]
+let discoveryQueue = new Set(); // elements added since the last flush
+let discoveryScheduled = false;
+const discoveryStats = {
+	mutationCallbacks: 0, // MutationObserver callbacks received
+	records: 0, // mutation records in them
+	flushes: 0, // batched scans run
+	subtreesScanned: 0, // added subtrees actually scanned
+	fullScans: 0, // whole-document scans (start, tab visible, rescan)
+	shadowRoots: 0, // shadow roots observed so far
+	editorsAttached: 0, // candidates onEditor accepted
+};
+
+function scheduleDiscovery() {
+	if (discoveryScheduled) return;
+	discoveryScheduled = true;
+	if (typeof requestIdleCallback === "function") {
+		requestIdleCallback(flushDiscovery, { timeout: DISCOVERY_IDLE_TIMEOUT_MS });
+	} else {
+		setTimeout(flushDiscovery, 50);
+	}
+}
+
+function onDiscoveryMutations(records) {
+	discoveryStats.mutationCallbacks++;
+	discoveryStats.records += records.length;
+	for (const r of records) {
+		if (r.type === "attributes") {
+			discoveryQueue.add(r.target);
+			continue;
+		}
+		for (const n of r.addedNodes) {
+			if (n.nodeType === Node.ELEMENT_NODE) discoveryQueue.add(n);
+		}
+	}
+	if (discoveryQueue.size) scheduleDiscovery();
+}
+
+function observeRoot(root) {
+	if (!root || discoveryObservers.some((o) => o.root === root)) return;
+	const observer = new MutationObserver(onDiscoveryMutations);
+	observer.observe(root === document ? document.documentElement : root, {
+		subtree: true,
+		childList: true,
+		attributes: true,
+		attributeFilter: DISCOVERY_ATTRIBUTES,
+	});
+	discoveryObservers.push({ root, observer });
+	if (root !== document) discoveryStats.shadowRoots++;
+}
+
+// Editors in (and including) el, plus any open shadow roots below it.
+// fallback (whole-document scans only): see findEditors.
+function scanSubtree(el, { fallback = false } = {}) {
+	discoveryStats.subtreesScanned++;
+	const found = [...discoveryAdapter.findEditors(el, { fallback })];
+	if (discoveryAdapter.isEditor(el)) found.unshift(el);
+	const walker = document.createTreeWalker(el, NodeFilter.SHOW_ELEMENT);
+	for (let n = walker.currentNode; n; n = walker.nextNode()) {
+		if (!n.shadowRoot) continue;
+		observeRoot(n.shadowRoot);
+		for (const child of n.shadowRoot.children) scanSubtree(child, { fallback });
+	}
+	for (const candidate of found) {
+		if (discoveryOnEditor(candidate)) discoveryStats.editorsAttached++;
+	}
+}
+
+function flushDiscovery() {
+	discoveryScheduled = false;
+	if (!discoveryAdapter) return;
+	const batch = discoveryQueue;
+	discoveryQueue = new Set();
+	discoveryStats.flushes++;
+	for (const el of batch) {
+		if (!el.isConnected) continue;
+		// Skip nodes whose ancestor is in the same batch; it covers them
+		let covered = false;
+		for (let p = el.parentNode; p && !covered; p = p.parentNode) {
+			covered = batch.has(p);
+		}
+		if (!covered) scanSubtree(el);
+	}
+}
+
+// =================== Public API ===================
+function startDiscovery(adapter, onEditor) {
+	discoveryAdapter = adapter;
+	discoveryOnEditor = onEditor;
+	observeRoot(document);
+	rescanAllEditors();
+}
+
+function stopDiscovery() {
+	for (const { observer } of discoveryObservers) observer.disconnect();
+	discoveryObservers = [];
+	discoveryQueue.clear();
+	discoveryAdapter = null;
+	discoveryOnEditor = null;
+}
+
+// Whole-document pass; only for start-up and when rules/tab state change
+function rescanAllEditors() {
+	if (!discoveryAdapter || !document.documentElement) return;
+	discoveryStats.fullScans++;
+	scanSubtree(document.documentElement, { fallback: true });
+}
+
+// An editor found another way (event path) may live in a shadow root we
+// haven't seen yet; watch it from now on
+function watchRootOf(el) {
+	const root = el?.getRootNode?.();
+	if (discoveryAdapter && root instanceof ShadowRoot) observeRoot(root);
+}
@@ -0,0 +1,284 @@
+// ===============================================
+// data/highlight.js
+// ===============================================
+// Inline highlighting of rule matches inside the editor.
+//  - <textarea>: a mirrored backdrop div sits exactly over the field with
+//    the same font/padding/wrapping and transparent text; only the
+//    <mark>s for each match draw an underline.
+//  - contenteditable: the CSS Custom Highlight API underlines DOM Ranges
+//    (::highlight(ph-waste) in styles.css), so the page's DOM is untouched.
+// Hovering or clicking a highlight shows a tooltip with the rule's
+// explanation and a "Remove" button that rewrites just that match.
+
+const HIGHLIGHT_NAME = "ph-waste";
+const MIRROR_PROPS = [
+	"boxSizing",
+	"paddingTop",
+	"paddingRight",
+	"paddingBottom",
+	"paddingLeft",
+	"borderTopWidth",
+	"borderRightWidth",
+	"borderBottomWidth",
+	"borderLeftWidth",
+	"fontFamily",
+	"fontSize",
+	"fontWeight",
+	"fontStyle",
+	"letterSpacing",
+	"lineHeight",
+	"textTransform",
+	"textIndent",
+	"wordSpacing",
+	"tabSize",
+	"textAlign",
+	"direction",
+];
+
+let hlTarget = null; // editor currently highlighted
+let hlItems = []; // [{ match, rects: () => DOMRect[] }]
+let hlMirror = null; // textarea backdrop
+let hlTip = null; // tooltip element
+let hlTipItem = null; // item the tooltip is showing
+let hlTipPinned = false; // opened by click: stays until dismissed
+let hlOnRemove = null;
+
+// =================== contenteditable text mapping ===================
+// Flat text of all text nodes plus where each node starts in it
+function textIndex(root) {
+	const nodes = [];
+	let text = "";
+	const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+	for (let n = walker.nextNode(); n; n = walker.nextNode()) {
+		nodes.push({ node: n, start: text.length });
+		text += n.data;
+	}
+	return { text, nodes };
+}
+
+function pointAt(index, offset) {
+	for (let i = index.nodes.length - 1; i >= 0; i--) {
+		const { node, start } = index.nodes[i];
+		if (offset >= start) {
+			return { node, offset: Math.min(offset - start, node.data.length) };
+		}
+	}
+	return null;
+}
+
+function rangeFor(index, start, end) {
+	const a = pointAt(index, start);
+	const b = pointAt(index, end);
+	if (!a || !b) return null;
+	const range = document.createRange();
+	range.setStart(a.node, a.offset);
+	range.setEnd(b.node, b.offset);
+	return range;
+}
+
+// A replacement space next to existing whitespace (or an edge) is dropped
+// so removing one match doesn't leave a double gap.
+function tidyReplacement(text, m) {
+	if (m.replacement !== " ") return m.replacement;
+	const prev = text[m.start - 1];
+	const next = text[m.end];
+	if (!prev || !next || /\s/.test(prev) || /[\s.,!?;:]/.test(next)) return "";
+	return " ";
+}
+
+// =================== Textarea backdrop ===================
+function ensureMirror() {
+	if (hlMirror) return hlMirror;
+	hlMirror = document.createElement("div");
+	hlMirror.className = "ph-mirror";
+	hlMirror.setAttribute("aria-hidden", "true");
+	(document.body || document.documentElement).appendChild(hlMirror);
+	return hlMirror;
+}
+
+function syncMirror(el) {
+	const m = ensureMirror();
+	const cs = getComputedStyle(el);
+	for (const p of MIRROR_PROPS) m.style[p] = cs[p];
+	const r = el.getBoundingClientRect();
+	m.style.top = `${r.top}px`;
+	m.style.left = `${r.left}px`;
+	m.style.width = `${r.width}px`;
+	m.style.height = `${r.height}px`;
+	// Leave room for the textarea's scrollbar so lines wrap the same way
+	const scrollbar = el.offsetWidth - el.clientWidth -
+		parseFloat(cs.borderLeftWidth) - parseFloat(cs.borderRightWidth);
+	m.style.paddingRight = `${parseFloat(cs.paddingRight) + Math.max(0, scrollbar)}px`;
+	m.scrollTop = el.scrollTop;
+	m.scrollLeft = el.scrollLeft;
+}
+
+function renderMirror(el, matches) {
+	const m = ensureMirror();
+	const text = el.value;
+	m.textContent = "";
+	let pos = 0;
+	const items = [];
+	for (const match of matches) {
+		m.append(text.slice(pos, match.start));
+		const mark = document.createElement("mark");
+		mark.textContent = text.slice(match.start, match.end);
+		m.appendChild(mark);
+		items.push({ match, rects: () => [...mark.getClientRects()] });
+		pos = match.end;
+	}
+	m.append(`${text.slice(pos)}\n`); // trailing newline keeps last line height
+	m.style.display = "block";
+	syncMirror(el);
+	return items;
+}
+
+// =================== Public API ===================
+// findMatches(text) → [{ start, end, id, explain, replacement }]
+// onRemove(match, replacement) is called after a single match was
+// removed; replacement is the text actually written in its place.
+function showHighlights(el, findMatches, onRemove) {
+	if (hlTarget && hlTarget !== el) clearHighlights();
+	hlTarget = el;
+	hlOnRemove = onRemove;
+
+	if (el.tagName?.toLowerCase() === "textarea") {
+		const matches = findMatches(el.value);
+		if (matches.length === 0) return clearHighlights();
+		hlItems = renderMirror(el, matches);
+		if (!el.__phScrollHooked) {
+			el.__phScrollHooked = true;
+			el.addEventListener("scroll", () => hlTarget === el && syncMirror(el), {
+				passive: true,
+			});
+		}
+	} else {
+		const index = textIndex(el);
+		hlItems = findMatches(index.text)
+			.map((match) => ({ match, range: rangeFor(index, match.start, match.end) }))
+			.filter((it) => it.range)
+			.map((it) => ({ ...it, rects: () => [...it.range.getClientRects()] }));
+		if (hlItems.length === 0) return clearHighlights();
+		if (typeof Highlight === "function" && CSS?.highlights) {
+			CSS.highlights.set(HIGHLIGHT_NAME, new Highlight(...hlItems.map((it) => it.range)));
+		}
+	}
+	listenForPointer(true);
+}
+
+function clearHighlights() {
+	if (hlMirror) hlMirror.style.display = "none";
+	try {
+		CSS?.highlights?.delete(HIGHLIGHT_NAME);
+	} catch {}
+	hlItems = [];
+	hlTarget = null;
+	hideTip(true);
+	listenForPointer(false);
+}
+
+// Keep the backdrop glued to the textarea on scroll/resize
+function repositionHighlights() {
+	if (hlTarget && hlMirror?.style.display === "block") syncMirror(hlTarget);
+}
+
+// =================== Tooltip ===================
+function ensureTip() {
+	if (hlTip) return hlTip;
+	hlTip = document.createElement("div");
+	hlTip.className = "ph-tip";
+	hlTip.innerHTML = `
+    <span class="ph-tip-text"></span>
+    <button class="ph-tip-remove">Remove</button>
+  `;
+	hlTip.addEventListener("mousedown", (e) => e.preventDefault()); // keep editor focus
+	hlTip.querySelector(".ph-tip-remove").onclick = () => {
+		if (hlTipItem) removeItem(hlTipItem);
+	};
+	(document.body || document.documentElement).appendChild(hlTip);
+	return hlTip;
+}
+
+function showTip(item, x, y, pinned) {
+	const tip = ensureTip();
+	hlTipItem = item;
+	hlTipPinned = pinned;
+	const { match } = item;
+	tip.querySelector(".ph-tip-text").textContent = `${match.explain || match.id}: “${match.match.trim()}”`;
+	tip.style.display = "flex";
+	tip.style.left = `${Math.max(8, Math.min(x, window.innerWidth - 260))}px`;
+	tip.style.top = `${Math.max(8, y + 14)}px`;
+}
+
+function hideTip(force) {
+	if (!hlTip || (hlTipPinned && !force)) return;
+	hlTip.style.display = "none";
+	hlTipItem = null;
+	hlTipPinned = false;
+}
+
+function itemAt(x, y) {
+	return hlItems.find((it) =>
+		it.rects().some((r) => x >= r.left && x <= r.right && y >= r.top && y <= r.bottom)
+	);
+}
+
+function onPointerMove(e) {
+	if (hlTip?.contains(e.target)) return;
+	const item = itemAt(e.clientX, e.clientY);
+	if (item) showTip(item, e.clientX, e.clientY, false);
+	else hideTip(false);
+}
+
+function onPointerClick(e) {
+	if (hlTip?.contains(e.target)) return;
+	const item = hlTarget?.contains(e.target) && itemAt(e.clientX, e.clientY);
+	if (item) showTip(item, e.clientX, e.clientY, true);
+	else hideTip(true);
+}
+
+let hlListening = false;
+function listenForPointer(on) {
+	if (on === hlListening) return;
+	hlListening = on;
+	const fn = on ? addEventListener : removeEventListener;
+	fn("mousemove", onPointerMove, true);
+	fn("click", onPointerClick, true);
+}
+
+// =================== Removing one match ===================
+function removeItem(item) {
+	const el = hlTarget;
+	if (!el) return;
+	const { match } = item;
+	let replacement;
+	if (el.tagName?.toLowerCase() === "textarea") {
+		const text = el.value;
+		if (text.slice(match.start, match.end) !== match.match) return;
+		replacement = tidyReplacement(text, match);
+		// Same execCommand path as the other edits (data/text_writer.js),
+		// so Ctrl+Z undoes just this removal
+		const next = text.slice(0, match.start) + replacement + text.slice(match.end);
+		if (!adapterWrite(el, next)) return;
+	} else {
+		const range = item.range;
+		if (!range || range.toString() !== match.match) return;
+		replacement = tidyReplacement(textIndex(el).text, match);
+		const sel = getSelection();
+		sel.removeAllRanges();
+		sel.addRange(range);
+		// execCommand keeps the editor's own state and undo stack in sync
+		const ok = replacement
+			? document.execCommand("insertText", false, replacement)
+			: document.execCommand("delete");
+		if (!ok) {
+			range.deleteContents();
+			if (replacement) range.insertNode(document.createTextNode(replacement));
+		}
+	}
+	hideTip(true);
+	el.dispatchEvent(new InputEvent("input", { bubbles: true, cancelable: true }));
+	try {
+		hlOnRemove?.(match, replacement);
+	} catch {}
+}
@@ -0,0 +1,169 @@
+// ===============================================
+// data/history.js
+// ===============================================
+// Opt-in prompt history (settings.historyEnabled), kept on this device and
+// encrypted at rest. The whole list is one AES-GCM blob in
+// chrome.storage.local; the key is a non-extractable CryptoKey stored in
+// IndexedDB, so it never shows up in extension storage or sync.
+// Loaded by the service worker only; content scripts ask background.js
+// (HISTORY_MATCH) for the closest earlier prompt.
+//
+// Entry: { id, ts, url, site, text }
+
+const HISTORY_KEY = "ph_history";
+const HISTORY_LIMIT = 500; // oldest entries are dropped first
+const HISTORY_DB = "ph_history";
+const HISTORY_DB_STORE = "keys";
+
+// =================== Key (IndexedDB) ===================
+function openHistoryDb() {
+	return new Promise((resolve, reject) => {
+		const req = indexedDB.open(HISTORY_DB, 1);
+		req.onupgradeneeded = () => req.result.createObjectStore(HISTORY_DB_STORE);
+		req.onsuccess = () => resolve(req.result);
+		req.onerror = () => reject(req.error);
+	});
+}
+
+function idbRequest(db, mode, fn) {
+	return new Promise((resolve, reject) => {
+		const tx = db.transaction(HISTORY_DB_STORE, mode);
+		const req = fn(tx.objectStore(HISTORY_DB_STORE));
+		tx.oncomplete = () => resolve(req.result);
+		tx.onerror = () => reject(tx.error);
+	});
+}
+
+let historyKeyPromise = null;
+function historyKey() {
+	historyKeyPromise ||= (async () => {
+		const db = await openHistoryDb();
+		let key = await idbRequest(db, "readonly", (s) => s.get("aes"));
+		if (!key) {
+			key = await crypto.subtle.generateKey(
+				{ name: "AES-GCM", length: 256 },
+				false, // non-extractable
+				["encrypt", "decrypt"]
+			);
+			await idbRequest(db, "readwrite", (s) => s.put(key, "aes"));
+		}
+		db.close();
+		return key;
+	})().catch((err) => {
+		historyKeyPromise = null;
+		throw err;
+	});
+	return historyKeyPromise;
+}
+
+// =================== Encrypted storage ===================
+function toBase64(bytes) {
+	let s = "";
+	for (const b of new Uint8Array(bytes)) s += String.fromCharCode(b);
+	return btoa(s);
+}
+
+function fromBase64(str) {
+	return Uint8Array.from(atob(str), (c) => c.charCodeAt(0));
+}
+
+let historyCache = null; // decrypted entries while the worker is alive
+
+async function loadHistory() {
+	if (historyCache) return historyCache;
+	const blob = await new Promise((resolve) => {
+		try {
+			chrome.storage.local.get({ [HISTORY_KEY]: null }, (items) =>
+				resolve(items?.[HISTORY_KEY])
+			);
+		} catch {
+			resolve(null);
+		}
+	});
+	if (!blob?.iv || !blob?.data) return (historyCache = []);
+	try {
+		const plain = await crypto.subtle.decrypt(
+			{ name: "AES-GCM", iv: fromBase64(blob.iv) },
+			await historyKey(),
+			fromBase64(blob.data)
+		);
+		const list = JSON.parse(new TextDecoder().decode(plain));
+		historyCache = Array.isArray(list) ? list : [];
+	} catch (err) {
+		// Key lost (profile reset) or data corrupted: start over
+		console.warn("[PH] Prompt history unreadable, starting fresh:", err);
+		historyCache = [];
+	}
+	return historyCache;
+}
+
+async function saveHistory(list) {
+	const iv = crypto.getRandomValues(new Uint8Array(12));
+	const data = await crypto.subtle.encrypt(
+		{ name: "AES-GCM", iv },
+		await historyKey(),
+		new TextEncoder().encode(JSON.stringify(list))
+	);
+	historyCache = list;
+	await new Promise((resolve) =>
+		chrome.storage.local.set(
+			{ [HISTORY_KEY]: { iv: toBase64(iv), data: toBase64(data) } },
+			resolve
+		)
+	);
+}
+
+// Serialize writes so concurrent sends don't overwrite each other
+let historyQueue = Promise.resolve();
+function updateHistory(fn) {
+	const run = historyQueue.catch(() => {}).then(async () => {
+		const list = [...(await loadHistory())];
+		const result = fn(list);
+		await saveHistory(list.slice(-HISTORY_LIMIT));
+		return result;
+	});
+	historyQueue = run;
+	return run;
+}
+
+// =================== Public API ===================
+// Resolves to the new entry's id
+function addToHistory({ text, url, site }) {
+	const t = (text || "").trim();
+	if (!t) return Promise.resolve(null);
+	return updateHistory((list) => {
+		const id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+		list.push({ id, ts: Date.now(), url: url || "", site: site || "", text: t });
+		return id;
+	});
+}
+
+// SPAs move a new chat to its own URL after the first send
+function setHistoryUrl(id, url) {
+	return updateHistory((list) => {
+		const entry = list.find((e) => e.id === id);
+		if (entry) entry.url = url;
+	});
+}
+
+function clearHistory() {
+	historyQueue = historyQueue.catch(() => {}).then(async () => {
+		historyCache = [];
+		await new Promise((resolve) => chrome.storage.local.remove(HISTORY_KEY, resolve));
+	});
+	return historyQueue;
+}
+
+// Closest earlier prompt (data/similarity.js scoring), most recent on ties
+// → { similarity, id, ts, url, site, text } | null
+async function findInHistory(text) {
+	const list = await loadHistory();
+	if (list.length === 0) return null;
+	const { maxSimilarity, match } = computeSimilarity(
+		text,
+		list.map((e) => e.text)
+	);
+	if (!match) return null;
+	const entry = list.findLast((e) => e.text === match);
+	return entry ? { similarity: maxSimilarity, ...entry } : null;
+}
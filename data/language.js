@@ -0,0 +1,80 @@
+// ===============================================
+// data/language.js
+// ===============================================
+// Lightweight on-device language detection, so each prompt is cleaned
+// with the rule pack for its language (see RULE_PACK_FILES in
+// data/rules.js). No model and no network: every candidate scores the
+// share of the prompt's words that are its common function words, plus
+// letters only it uses. Code, quotes and URLs (data/segmenter.js) are
+// left out, so an English prompt around German log lines stays English.
+//
+// detectLanguage(text) → "en" | "vi" | "de" | "es" | "fr" | null (unsure)
+
+const LANGUAGE_NAMES = {
+	en: "English",
+	vi: "Vietnamese",
+	de: "German",
+	es: "Spanish",
+	fr: "French",
+};
+
+const LANGUAGE_MIN_WORDS = 3;
+const LANGUAGE_MIN_SCORE = 0.15;
+
+const LANGUAGE_PROFILES = {
+	en: {
+		words: "the and is are to of in that it for you with this what how can be on my me not do have please your from",
+		letters: null,
+	},
+	vi: {
+		words: "và của là có không được cho tôi bạn này một những các với trong để làm người thì nào gì như khi đã sẽ hãy giúp mình ơn vui lòng",
+		// ă đ ơ ư and the stacked tone marks (Latin Extended Additional)
+		letters: /[ăđơưẠ-ỹ]/g,
+	},
+	de: {
+		words: "der die das und ist nicht ich du sie es ein eine zu mit den dem auf für von wie was bitte kannst können mir mich auch sich im",
+		letters: /[äöüß]/g,
+	},
+	es: {
+		words: "el la los las de que y en un una es por para con no se lo como qué cómo me mi puedes favor gracias del al pero más",
+		letters: /[ñ¿¡]/g,
+	},
+	fr: {
+		words: "le la les de des du et est un une que qui en pour pas je tu vous ce cette avec dans sur merci plaît pouvez peux mon ne",
+		letters: /[çœàèùâêîôûëï]/g,
+	},
+};
+
+const LANGUAGE_WORDS = Object.fromEntries(
+	Object.entries(LANGUAGE_PROFILES).map(([code, p]) => [code, new Set(p.words.split(" "))])
+);
+
+// Prose only; falls back to the whole text if the segmenter isn't loaded
+function languageSample(text) {
+	if (typeof segmentPrompt !== "function") return text;
+	return segmentPrompt(text)
+		.filter((s) => s.type === "prose")
+		.map((s) => s.text)
+		.join("\n");
+}
+
+function detectLanguage(text) {
+	const sample = languageSample(text || "").toLowerCase();
+	const words = sample.match(/\p{L}+/gu) || [];
+	if (words.length < LANGUAGE_MIN_WORDS) return null;
+
+	let best = null;
+	let bestScore = 0;
+	for (const [code, profile] of Object.entries(LANGUAGE_PROFILES)) {
+		const set = LANGUAGE_WORDS[code];
+		let hits = 0;
+		for (const w of words) if (set.has(w)) hits++;
+		const letters = profile.letters ? (sample.match(profile.letters) || []).length : 0;
+		const score = (hits + 2 * letters) / words.length;
+		if (score > bestScore) {
+			best = code;
+			bestScore = score;
+		}
+	}
+	return bestScore >= LANGUAGE_MIN_SCORE ? best : null;
+}
@@ -0,0 +1,83 @@
+// ===============================================
+// data/ledger.js
+// ===============================================
+// Persistent savings ledger in chrome.storage.local. Content scripts
+// don't write it directly (tabs would race each other); they send
+// LEDGER_RECORD to background.js, which appends entries one at a time.
+// The popup reads the ledger and aggregates it for the dashboard.
+//
+// Entry: { ts, action, site, model, ruleIds, chars, tokens, cost }
+//   action: "clean" | "block" | "send-anyway" | "clear" | "undo"
+//   chars/tokens/cost: what the action saved (0 for block/send-anyway,
+//   negative for an undo, which takes back an earlier clean)
+
+const LEDGER_KEY = "ph_ledger";
+const LEDGER_LIMIT = 5000; // oldest entries are dropped first
+
+function loadLedger() {
+	return new Promise((resolve) => {
+		try {
+			chrome.storage.local.get({ [LEDGER_KEY]: [] }, (items) => {
+				const list = items?.[LEDGER_KEY];
+				resolve(Array.isArray(list) ? list : []);
+			});
+		} catch {
+			resolve([]);
+		}
+	});
+}
+
+// Serialize appends so concurrent records don't overwrite each other
+let ledgerQueue = Promise.resolve();
+function appendLedger(entry) {
+	ledgerQueue = ledgerQueue.catch(() => {}).then(async () => {
+		const list = await loadLedger();
+		list.push({ ts: Date.now(), ...entry });
+		await new Promise((resolve) =>
+			chrome.storage.local.set(
+				{ [LEDGER_KEY]: list.slice(-LEDGER_LIMIT) },
+				resolve
+			)
+		);
+	});
+	return ledgerQueue;
+}
+
+// =================== Aggregation ===================
+function startOfToday(now = Date.now()) {
+	const d = new Date(now);
+	d.setHours(0, 0, 0, 0);
+	return d.getTime();
+}
+
+function ledgerTotals(entries, sinceTs = 0) {
+	const totals = { events: 0, cleans: 0, blocks: 0, chars: 0, tokens: 0, cost: 0 };
+	for (const e of entries) {
+		if (e.ts < sinceTs) continue;
+		totals.events++;
+		if (e.action === "clean" || e.action === "clear") totals.cleans++;
+		if (e.action === "undo") totals.cleans--;
+		if (e.action === "block") totals.blocks++;
+		totals.chars += e.chars || 0;
+		totals.tokens += e.tokens || 0;
+		totals.cost += e.cost || 0;
+	}
+	return totals;
+}
+
+// [{ key, tokens, cost, events }] sorted by tokens saved
+function ledgerBreakdown(entries, keyOf, sinceTs = 0) {
+	const groups = {};
+	for (const e of entries) {
+		if (e.ts < sinceTs) continue;
+		for (const key of [].concat(keyOf(e) || [])) {
+			const g = (groups[key] ||= { key, tokens: 0, cost: 0, events: 0 });
+			g.tokens += e.tokens || 0;
+			g.cost += e.cost || 0;
+			g.events++;
+		}
+	}
+	return Object.values(groups).sort(
+		(a, b) => b.tokens - a.tokens || b.events - a.events
+	);
+}
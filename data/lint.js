@@ -0,0 +1,162 @@
+// ===============================================
+// data/lint.js
+// ===============================================
+// Prompt structure linting, next to the filler rules (data/rules.js).
+// Rules catch words that can go; lint catches prompts that will need a
+// follow-up because of how they're put together:
+//   no-task-verb             nothing says what to do
+//   duplicate-instruction    the same sentence given twice
+//   conflicting-constraints  "brief" and "detailed", two word limits, …
+//   huge-paste               a pasted block (code, log, JSON) too big to help
+//   long-instructions        the instructions themselves run very long
+//   verbose-output           asks for "detailed"/"comprehensive" output
+// Only prose is read (data/segmenter.js); the wording checks are English
+// and skip prompts detected as another language (data/language.js).
+// no-task-verb and conflicting-constraints are guesses from wording, so
+// they're "low" and don't block under the default policy.
+//
+// Issue: { id, explain, severity } — severity is low/medium/high, like
+// rule hits, and the blocking policy weighs both the same way.
+
+const LINT_BLOB_CHARS = 4000; // pasted block size worth a warning
+const LINT_BLOB_LINES = 120;
+const LINT_LONG_WORDS = 400; // words of prose
+const LINT_MIN_WORDS_FOR_TASK = 8; // shorter prompts aren't judged
+
+const LINT_TASK_VERBS =
+	/\b(explain|write|fix|summari[sz]e|list|create|generate|translate|rewrite|review|find|compare|describe|give|show|make|tell|help|convert|refactor|debug|add|remove|update|implement|build|design|analy[sz]e|suggest|check|draft|outline|calculate|answer|edit|improve|optimi[sz]e|test|correct|proofread|classify|extract|plan|recommend)\b/i;
+
+const LINT_VERBOSE_OUTPUT =
+	/\b(as much detail as possible|in (?:great|full) detail|very detailed|detailed|comprehensive|exhaustive|in[- ]depth|thorough(?:ly)?)\b/i;
+
+// A word counts only when it describes the answer: "be brief", "keep it
+// casual", "a short summary" — not "a long article" or "formal logic"
+const LINT_OUTPUT_NOUNS =
+	"answers?|repl(?:y|ies)|responses?|summar(?:y|ies)|explanations?|overview|output|version|description|write-?up|report|tone|style|language|wording";
+
+function lintOutputAsk(words) {
+	return new RegExp(
+		`\\b(?:(?:be|keep it|make it|sound|stay)\\s+(?:very\\s+|more\\s+|fairly\\s+)?(${words})\\b|(${words})\\s+(?:[\\w-]+\\s+)?(?:${LINT_OUTPUT_NOUNS})\\b)`,
+		"i"
+	);
+}
+
+// Pairs of asks about the output that can't both be met
+const LINT_CONFLICTS = [
+	{
+		a: lintOutputAsk("brief|short|concise|succinct"),
+		b: lintOutputAsk("detailed|comprehensive|exhaustive|in[- ]depth|thorough"),
+	},
+	{
+		a: lintOutputAsk("formal|professional"),
+		b: lintOutputAsk("casual|informal|chatty"),
+	},
+	{
+		a: /\b(bullet(?:s| points?)|as a list)\b/i,
+		b: /\b(in (?:a |one )?(?:single )?paragraph|no (?:bullets|lists?))\b/i,
+	},
+];
+const LINT_WORD_LIMIT = /\b(?:under|below|at most|max(?:imum)?(?: of)?|no more than|within|in)\s+(\d+)\s+words\b/gi;
+
+function lintIssue(id, explain, severity) {
+	return { id, explain, severity };
+}
+
+// → [{ id, explain, severity }]
+function lintPrompt(text) {
+	const t = text || "";
+	if (!t.trim()) return [];
+	const segments = segmentPrompt(t);
+	const prose = segments
+		.filter((s) => s.type === "prose")
+		.map((s) => s.text)
+		.join("\n");
+	const words = prose.match(/\p{L}+/gu) || [];
+	const lang = detectLanguage(t);
+	const english = lang === null || lang === "en";
+	const issues = [];
+
+	const asks = /\?/.test(prose) || LINT_TASK_VERBS.test(prose);
+	if (english && words.length >= LINT_MIN_WORDS_FOR_TASK && !asks) {
+		issues.push(
+			lintIssue(
+				"no-task-verb",
+				"No clear task: say what you want done (“Summarize…”, “Fix…”)",
+				"low"
+			)
+		);
+	}
+
+	// Same sentences as the rewrite suggestion (data/rewrite.js), once each
+	const repeated = new Set();
+	for (const s of findRepeatedSentences(t)) {
+		if (repeated.has(s.key)) continue;
+		repeated.add(s.key);
+		issues.push(
+			lintIssue("duplicate-instruction", `Said twice: “${promptExcerpt(s.text)}”`, "medium")
+		);
+	}
+
+	if (english) {
+		for (const { a, b } of LINT_CONFLICTS) {
+			const ma = prose.match(a);
+			const mb = prose.match(b);
+			if (ma && mb) {
+				issues.push(
+					lintIssue(
+						"conflicting-constraints",
+						`Conflicting asks: “${ma[1] || ma[2]}” vs “${mb[1] || mb[2]}”`,
+						"low"
+					)
+				);
+			}
+		}
+		const limits = [...new Set([...prose.matchAll(LINT_WORD_LIMIT)].map((m) => m[1]))];
+		if (limits.length > 1) {
+			issues.push(
+				lintIssue(
+					"conflicting-constraints",
+					`Conflicting word limits: ${limits.join(" vs ")}`,
+					"low"
+				)
+			);
+		}
+	}
+
+	for (const s of segments) {
+		if (s.type === "prose") continue;
+		const lines = s.text.split("\n").length;
+		if (s.text.length > LINT_BLOB_CHARS || lines > LINT_BLOB_LINES) {
+			issues.push(
+				lintIssue(
+					"huge-paste",
+					`Pasted ${s.type} block of ${lines} lines: keep only the part that matters`,
+					"medium"
+				)
+			);
+		}
+	}
+
+	if (words.length > LINT_LONG_WORDS) {
+		issues.push(
+			lintIssue(
+				"long-instructions",
+				`Instructions run ${words.length} words: split the task or cut to what matters`,
+				"low"
+			)
+		);
+	}
+
+	const verbose = english && prose.match(LINT_VERBOSE_OUTPUT);
+	if (verbose) {
+		issues.push(
+			lintIssue(
+				"verbose-output",
+				`Asks for “${verbose[1]}” output: longer answers cost more; ask for brief unless you need the detail`,
+				"low"
+			)
+		);
+	}
+
+	return issues;
+}
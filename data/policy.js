@@ -0,0 +1,78 @@
+// ===============================================
+// data/policy.js
+// ===============================================
+// The blocking policy: one place that decides whether a prompt should be
+// stopped on Enter. It combines four signals
+//  - rule hits, by the severity each rule declares (low/medium/high)
+//  - structure issues from data/lint.js, by their severity
+//  - tokens the cleanup would save
+//  - similarity to an earlier prompt (from the analysis backend)
+// and the mode chosen for the site on the options page:
+//   off   never interfere
+//   warn  flag the prompt on the badge, but never block Enter
+//   soft  block with the modal; sending the original is still offered
+//   hard  block with the modal; the prompt has to be edited first
+// If the analysis didn't answer, settings.failMode decides: "open" goes
+// by the local signals, "closed" flags the prompt.
+
+const POLICY_MODES = ["off", "warn", "soft", "hard"];
+const POLICY_DEFAULT_MODE = "soft";
+const POLICY_SEVERITY_RANK = { low: 1, medium: 2, high: 3 };
+
+// Mode for a site adapter id (data/adapters.js), from settings.policyModes
+function policyModeFor(adapterId, settings) {
+	const mode = settings?.policyModes?.[adapterId];
+	return POLICY_MODES.includes(mode) ? mode : POLICY_DEFAULT_MODE;
+}
+
+function blocksOnEnter(mode) {
+	return mode === "soft" || mode === "hard";
+}
+
+// signals: { hits, issues, savedTokens, similarity, analysisFailed } —
+// similarity is null when no backend answered. Thresholds come from
+// settings (see PH_DEFAULTS). → { triggered, reasons: [string] }
+function evaluatePolicy(
+	{ hits = [], issues = [], savedTokens = 0, similarity = null, analysisFailed = false },
+	settings
+) {
+	const reasons = [];
+
+	const minRank = POLICY_SEVERITY_RANK[settings.blockSeverity];
+	const atLeastMin = (x) =>
+		(POLICY_SEVERITY_RANK[x.severity] || POLICY_SEVERITY_RANK.low) >= minRank;
+	if (minRank) {
+		const severe = hits.filter(atLeastMin);
+		if (severe.length) {
+			const ids = [...new Set(severe.map((h) => h.id))];
+			reasons.push(
+				`${severe.length} ${settings.blockSeverity}+ severity match${
+					severe.length === 1 ? "" : "es"
+				} (${ids.join(", ")})`
+			);
+		}
+		const structural = issues.filter(atLeastMin);
+		if (structural.length) {
+			const ids = [...new Set(structural.map((i) => i.id))];
+			reasons.push(
+				`${structural.length} structure issue${
+					structural.length === 1 ? "" : "s"
+				} (${ids.join(", ")})`
+			);
+		}
+	}
+
+	if (settings.blockTokenThreshold > 0 && savedTokens >= settings.blockTokenThreshold) {
+		reasons.push(`cleanup saves ${savedTokens} tokens`);
+	}
+
+	if (similarity != null && similarity > settings.similarityThreshold) {
+		reasons.push(`${Math.round(similarity * 100)}% similar to an earlier prompt`);
+	}
+
+	if (analysisFailed && settings.failMode === "closed") {
+		reasons.push("the similarity check didn't answer in time");
+	}
+
+	return { triggered: reasons.length > 0, reasons };
+}
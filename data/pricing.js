@@ -0,0 +1,31 @@
+// ===============================================
+// data/pricing.js
+// ===============================================
+// Turns saved tokens into money. Prices are USD per 1M input tokens,
+// keyed by the model ids from data/tokenizer.js. The user's edited
+// table (options page) is stored as settings.priceTable.
+
+const DEFAULT_PRICE_TABLE = {
+	"gpt-5": 1.25,
+	"gpt-4o": 2.5,
+	"gpt-4": 30,
+	claude: 3,
+	gemini: 1.25,
+};
+
+function estimateCost(tokenCount, model, table = DEFAULT_PRICE_TABLE) {
+	const perMillion = Number(table?.[model] ?? DEFAULT_PRICE_TABLE[model]);
+	if (!Number.isFinite(perMillion) || perMillion <= 0 || !tokenCount) return 0;
+	return (tokenCount * perMillion) / 1e6;
+}
+
+// Savings per prompt are fractions of a cent, so keep two significant
+// digits instead of rounding everything to $0.00.
+function formatCost(usd) {
+	if (!usd) return "$0";
+	return usd.toLocaleString("en-US", {
+		style: "currency",
+		currency: "USD",
+		maximumSignificantDigits: 2,
+	});
+}
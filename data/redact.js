@@ -0,0 +1,156 @@
+// ===============================================
+// data/redact.js
+// ===============================================
+// Secret/PII redaction. Everything the content script hands to
+// background.js (analysis, session corpus, prompt history) is masked
+// first, so API keys, tokens, emails, phone numbers, card numbers and the
+// user's own patterns (settings.redactionPatterns) never leave the page.
+// The badge also uses findSecrets to warn before such a prompt is sent to
+// the LLM itself, with a one-click "Mask".
+//
+// Detector: { id, label, re, mask, valid? }
+
+function luhnValid(digits) {
+	let sum = 0;
+	for (let i = 0; i < digits.length; i++) {
+		let d = Number(digits[digits.length - 1 - i]);
+		if (i % 2 === 1) {
+			d *= 2;
+			if (d > 9) d -= 9;
+		}
+		sum += d;
+	}
+	return sum % 10 === 0;
+}
+
+// Words that say the digits after them are a phone number
+const PHONE_CONTEXT =
+	"phone|tel|telephone|mobile|cell|call|text me|fax|whatsapp|sđt|điện thoại|telefon|handy|teléfono|móvil|téléphone|portable";
+
+// A phone-like shape, or digits right after a PHONE_CONTEXT word; bare
+// groups of digits ("numbers 100 200 300") are not a phone number
+const PHONE_RE = new RegExp(
+	[
+		// +44 20 7946 0958, +1 (555) 123-4567
+		"(?<![\\w+])\\+\\d{1,3}[\\s.-]?(?:\\(\\d{1,4}\\)[\\s.-]?)?\\d{1,4}(?:[\\s.-]?\\d{2,4}){1,4}\\b",
+		// (555) 123-4567
+		"\\(\\d{2,4}\\)[\\s.-]?\\d{3,4}[\\s.-]?\\d{3,4}\\b",
+		// 555-123-4567, 555.123.4567
+		"\\b\\d{3}([.-])\\d{3}\\1\\d{4}\\b",
+		// phone: 030 1234 5678
+		`(?<=(?:^|[^\\p{L}])(?:${PHONE_CONTEXT})\\b[^\\d\\n]{0,20})\\(?\\d[\\d\\s().-]{7,18}\\d\\b`,
+	].join("|"),
+	"giu"
+);
+
+const REDACTION_DETECTORS = [
+	{
+		id: "private-key",
+		label: "private key",
+		re: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g,
+		mask: "[PRIVATE_KEY]",
+	},
+	{
+		id: "api-key",
+		label: "API key",
+		// OpenAI/Anthropic, Stripe, AWS, GitHub, Google, Slack
+		re: /\b(?:sk-(?:ant-|proj-)?[A-Za-z0-9_-]{20,}|[sr]k_(?:live|test)_[A-Za-z0-9]{16,}|AKIA[0-9A-Z]{16}|gh[pousr]_[A-Za-z0-9]{36,}|AIza[0-9A-Za-z_-]{35}|xox[abprs]-[A-Za-z0-9-]{10,})/g,
+		mask: "[API_KEY]",
+	},
+	{
+		id: "token",
+		label: "access token",
+		// JWTs and bearer tokens
+		re: /\beyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}|\bBearer\s+[A-Za-z0-9._~+/-]{20,}=*/g,
+		mask: "[TOKEN]",
+	},
+	{
+		id: "credential",
+		label: "password or secret",
+		// key = value assignments; the name stays so the prompt still reads
+		re: /\b((?:api[_-]?key|secret|token|passw(?:or)?d|pwd)\s*[:=]\s*["']?)[^\s"',;]{6,}/gi,
+		mask: "$1[SECRET]",
+	},
+	{
+		id: "email",
+		label: "email address",
+		re: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g,
+		mask: "[EMAIL]",
+	},
+	{
+		id: "card",
+		label: "card number",
+		re: /\b\d(?:[ -]?\d){12,18}\b/g,
+		mask: "[CARD]",
+		valid: (m) => luhnValid(m.replace(/\D/g, "")),
+	},
+	{
+		id: "phone",
+		label: "phone number",
+		re: PHONE_RE,
+		mask: "[PHONE]",
+		valid: (m) => {
+			const n = m.replace(/\D/g, "").length;
+			return n >= 9 && n <= 15;
+		},
+	},
+];
+
+// Built-in detectors plus the user's patterns (regex sources); bad
+// patterns are skipped like bad rules are.
+function compileRedactors(userPatterns) {
+	const custom = [];
+	(Array.isArray(userPatterns) ? userPatterns : []).forEach((src, i) => {
+		if (typeof src !== "string" || !src.trim()) return;
+		try {
+			custom.push({
+				id: `custom-${i + 1}`,
+				label: "custom pattern",
+				re: new RegExp(src, "g"),
+				mask: "[REDACTED]",
+			});
+		} catch (err) {
+			console.warn("[PH] Skipping bad redaction pattern:", src, err);
+		}
+	});
+	return [...REDACTION_DETECTORS, ...custom];
+}
+
+// → [{ id, label, start, end, match, mask }], earliest (then longest) wins
+function findSecrets(text, detectors) {
+	const found = [];
+	for (const d of detectors) {
+		for (const m of (text || "").matchAll(d.re)) {
+			if (!m[0] || (d.valid && !d.valid(m[0]))) continue;
+			found.push({
+				id: d.id,
+				label: d.label,
+				start: m.index,
+				end: m.index + m[0].length,
+				match: m[0],
+				mask: d.mask.replace(/\$(\d)/g, (_, n) => m[Number(n)] ?? ""),
+			});
+		}
+	}
+	found.sort((a, b) => a.start - b.start || b.end - a.end);
+	const out = [];
+	let pos = 0;
+	for (const f of found) {
+		if (f.start < pos) continue;
+		out.push(f);
+		pos = f.end;
+	}
+	return out;
+}
+
+// → { text, found }
+function redactText(text, detectors) {
+	const found = findSecrets(text, detectors);
+	let out = "";
+	let pos = 0;
+	for (const f of found) {
+		out += text.slice(pos, f.start) + f.mask;
+		pos = f.end;
+	}
+	return { text: found.length ? out + text.slice(pos) : text || "", found };
+}
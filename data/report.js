@@ -0,0 +1,91 @@
+// ===============================================
+// data/report.js
+// ===============================================
+// Savings report for a team lead to collect: aggregates of the ledger
+// (data/ledger.js) and the conversation totals (data/conversations.js),
+// exported as JSON or CSV from the options page. Nothing from a prompt
+// goes in — no text, no conversation titles or URLs — only counts,
+// tokens, costs, site hostnames, model ids and rule ids.
+
+const REPORT_FORMAT = "prompt-hygiene-report";
+const REPORT_SCHEMA_VERSION = 1;
+const REPORT_CSV_COLUMNS = ["date", "site", "model", "action", "events", "chars", "tokens", "cost_usd"];
+
+function reportDate(ts) {
+	const d = new Date(ts);
+	const pad = (n) => String(n).padStart(2, "0");
+	return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+// Ledger entries grouped by local day, site, model and action
+function reportRows(entries, sinceTs = 0) {
+	const groups = new Map();
+	for (const e of entries) {
+		if (e.ts < sinceTs) continue;
+		const row = {
+			date: reportDate(e.ts),
+			site: e.site || "",
+			model: e.model || "",
+			action: e.action || "",
+		};
+		const key = JSON.stringify(Object.values(row));
+		const g = groups.get(key) || { ...row, events: 0, chars: 0, tokens: 0, cost: 0 };
+		g.events++;
+		g.chars += e.chars || 0;
+		g.tokens += e.tokens || 0;
+		g.cost += e.cost || 0;
+		groups.set(key, g);
+	}
+	return [...groups.values()].sort(
+		(a, b) => a.date.localeCompare(b.date) || a.site.localeCompare(b.site)
+	);
+}
+
+function conversationSummary(conversations, sinceTs = 0) {
+	const out = { conversations: 0, turns: 0, tokens: 0, wastedTurns: 0, wastedTokens: 0 };
+	for (const c of conversations) {
+		if (c.ts < sinceTs) continue;
+		out.conversations++;
+		out.turns += c.turns || 0;
+		out.tokens += conversationTokens(c);
+		out.wastedTurns += c.wastedTurns || 0;
+		out.wastedTokens += c.wastedTokens || 0;
+	}
+	return out;
+}
+
+// options: { sinceTs, version } — version is the extension's
+function buildReport(entries, conversations, { sinceTs = 0, version } = {}) {
+	const breakdown = (keyOf) => ledgerBreakdown(entries, keyOf, sinceTs);
+	return {
+		format: REPORT_FORMAT,
+		schemaVersion: REPORT_SCHEMA_VERSION,
+		extensionVersion: version,
+		generatedAt: new Date().toISOString(),
+		since: sinceTs ? new Date(sinceTs).toISOString() : null,
+		totals: ledgerTotals(entries, sinceTs),
+		bySite: breakdown((e) => e.site),
+		byRule: breakdown((e) => e.ruleIds),
+		byModel: breakdown((e) => e.model),
+		conversations: conversationSummary(conversations, sinceTs),
+		daily: reportRows(entries, sinceTs),
+	};
+}
+
+function csvCell(value) {
+	const s = String(value ?? "");
+	return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// One row per day/site/model/action, as in report.daily
+function reportToCsv(report) {
+	const lines = [REPORT_CSV_COLUMNS.join(",")];
+	for (const r of report.daily) {
+		lines.push(
+			[r.date, r.site, r.model, r.action, r.events, r.chars, r.tokens, r.cost.toFixed(6)]
+				.map(csvCell)
+				.join(",")
+		);
+	}
+	return `${lines.join("\n")}\n`;
+}
@@ -0,0 +1,115 @@
+// ===============================================
+// data/rewrite.js
+// ===============================================
+// Rewrite suggestions: phrase-level condensation that runs alongside
+// applyRules. Rules delete filler automatically; suggestions are shown
+// one by one with a before/after preview and only applied when the user
+// accepts them. Two sources:
+//  - data/phrase_dictionary.json: wordy phrase → concise substitute
+//  - repeated instructions: a sentence that appears again verbatim
+//
+// Suggestion: { id, start, end, before, after, explain }
+
+function compilePhraseDictionary(json) {
+	return (json?.phrases || [])
+		.filter((p) => typeof p?.phrase === "string" && p.phrase.trim())
+		.map((p) => ({
+			...p,
+			// Flexible whitespace between words; the optional trailing space
+			// is eaten when the replacement is empty so no gap is left behind
+			re: new RegExp(
+				`\\b${p.phrase
+					.trim()
+					.split(/\s+/)
+					.map((w) => w.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+					.join("\\s+")}\\b${p.replacement ? "" : ",?\\s?"}`,
+				"gi"
+			),
+		}));
+}
+
+// Keep "In order to" → "To" at the start of a sentence
+function matchCase(source, replacement) {
+	if (!replacement) return replacement;
+	const first = source[0];
+	return first && first !== first.toLowerCase()
+		? replacement[0].toUpperCase() + replacement.slice(1)
+		: replacement;
+}
+
+function phraseSuggestions(text, phrases) {
+	const out = [];
+	for (const p of phrases) {
+		for (const m of text.matchAll(p.re)) {
+			out.push({
+				id: `phrase:${p.phrase}`,
+				start: m.index,
+				end: m.index + m[0].length,
+				before: m[0],
+				after: matchCase(m[0], p.replacement),
+				explain: p.explain || "More concise wording",
+			});
+		}
+	}
+	return out;
+}
+
+// Sentences (or lines) of prose that repeat an earlier one, ignoring case
+// and spacing. Code, quotes and JSON (data/segmenter.js) are skipped:
+// repeated lines are normal there. Also behind lint's
+// duplicate-instruction issue (data/lint.js).
+// → [{ start, end, text, key }], one per later copy
+function findRepeatedSentences(text) {
+	const out = [];
+	const seen = new Set();
+	for (const seg of segmentPrompt(text)) {
+		if (seg.type !== "prose") continue;
+		for (const m of seg.text.matchAll(/[^.!?\n]+[.!?]*\s*/g)) {
+			const key = m[0].toLowerCase().replace(/[^\p{L}\p{N}]+/gu, " ").trim();
+			if (key.split(" ").length < 3) continue; // too short to be an instruction
+			const start = seg.start + m.index;
+			if (seen.has(key)) out.push({ start, end: start + m[0].length, text: m[0], key });
+			else seen.add(key);
+		}
+	}
+	return out;
+}
+
+// The suggestion removes the later copy
+function repeatedInstructionSuggestions(text) {
+	return findRepeatedSentences(text).map((r) => ({
+		id: "repeated-instruction",
+		start: r.start,
+		end: r.end,
+		before: r.text,
+		after: "",
+		explain: "Repeats an earlier instruction",
+	}));
+}
+
+function suggestRewrites(text, phrases) {
+	const all = [
+		...repeatedInstructionSuggestions(text || ""),
+		...phraseSuggestions(text || "", phrases || []),
+	].sort((a, b) => a.start - b.start || b.end - a.end);
+	// Drop suggestions that overlap an earlier one
+	const out = [];
+	let pos = 0;
+	for (const s of all) {
+		if (s.start < pos) continue;
+		out.push(s);
+		pos = s.end;
+	}
+	return out;
+}
+
+// Apply one suggestion to (possibly edited) text. Returns null when the
+// text no longer contains the suggestion's "before" where expected.
+function applySuggestion(text, s) {
+	let start = s.start;
+	if (text.slice(start, s.end) !== s.before) {
+		start = text.indexOf(s.before);
+		if (start < 0) return null;
+	}
+	return text.slice(0, start) + s.after + text.slice(start + s.before.length);
+}
@@ -0,0 +1,153 @@
+// ===============================================
+// data/rule_packs.js
+// ===============================================
+// Versioned rule-pack format for sharing house rules without a server.
+// A pack is the wasteful_patterns.json rule schema wrapped with metadata:
+//
+//   {
+//     "format": "prompt-hygiene-rule-pack",
+//     "schemaVersion": 1,
+//     "name": "Team rules", "version": "1.2.0",
+//     "author": "…", "locale": "en",
+//     "rules": [{ id, pattern, flags, explain, replacement?, transform?,
+//                 severity? }]
+//   }
+//
+// data/wasteful_patterns.json itself is a pack; a bare rule array is
+// still accepted everywhere for older files (see rulesFromJson).
+
+const RULE_PACK_FORMAT = "prompt-hygiene-rule-pack";
+const RULE_PACK_SCHEMA_VERSION = 1;
+const RULE_SEVERITIES = ["low", "medium", "high"];
+const RULE_FIELDS = [
+	"id",
+	"pattern",
+	"flags",
+	"explain",
+	"replacement",
+	"transform",
+	"severity",
+];
+
+// Returns { ok, errors: [string], pack } — errors are meant for users,
+// so each one names the rule it is about.
+function validateRulePack(json) {
+	const errors = [];
+	if (!json || typeof json !== "object" || Array.isArray(json)) {
+		return { ok: false, errors: ["Not a rule pack: expected a JSON object."] };
+	}
+	if (json.format !== RULE_PACK_FORMAT) {
+		errors.push(`"format" must be "${RULE_PACK_FORMAT}".`);
+	}
+	if (json.schemaVersion !== RULE_PACK_SCHEMA_VERSION) {
+		errors.push(
+			`Unsupported schemaVersion ${JSON.stringify(json.schemaVersion)} ` +
+				`(this version reads ${RULE_PACK_SCHEMA_VERSION}).`
+		);
+	}
+	for (const key of ["name", "version"]) {
+		if (typeof json[key] !== "string" || !json[key].trim()) {
+			errors.push(`"${key}" must be a non-empty string.`);
+		}
+	}
+	for (const key of ["author", "locale"]) {
+		if (json[key] != null && typeof json[key] !== "string") {
+			errors.push(`"${key}" must be a string.`);
+		}
+	}
+	if (!Array.isArray(json.rules)) {
+		errors.push(`"rules" must be an array.`);
+		return { ok: false, errors };
+	}
+
+	const seen = new Set();
+	json.rules.forEach((r, i) => {
+		const where = `Rule ${i + 1}${typeof r?.id === "string" ? ` ("${r.id}")` : ""}`;
+		if (!r || typeof r !== "object") {
+			errors.push(`${where}: must be an object.`);
+			return;
+		}
+		if (typeof r.id !== "string" || !r.id.trim()) {
+			errors.push(`${where}: "id" must be a non-empty string.`);
+		} else if (seen.has(r.id)) {
+			errors.push(`${where}: duplicate id.`);
+		}
+		seen.add(r.id);
+		const flagsOk = r.flags == null || /^[dgimsuy]*$/.test(r.flags);
+		if (!flagsOk) errors.push(`${where}: unsupported flags "${r.flags}".`);
+		if (typeof r.pattern !== "string" || !r.pattern) {
+			errors.push(`${where}: "pattern" must be a non-empty string.`);
+		} else if (flagsOk) {
+			try {
+				new RegExp(r.pattern, r.flags || "");
+			} catch (e) {
+				errors.push(`${where}: invalid regex — ${e.message}`);
+			}
+		}
+		if (r.replacement != null && typeof r.replacement !== "string") {
+			errors.push(`${where}: "replacement" must be a string.`);
+		}
+		if (r.transform != null && !(r.transform in RULE_TRANSFORMS)) {
+			errors.push(
+				`${where}: unknown transform "${r.transform}" (known: ${Object.keys(
+					RULE_TRANSFORMS
+				).join(", ")}).`
+			);
+		}
+		if (r.severity != null && !RULE_SEVERITIES.includes(r.severity)) {
+			errors.push(
+				`${where}: severity must be one of ${RULE_SEVERITIES.join(", ")}.`
+			);
+		}
+	});
+
+	return { ok: errors.length === 0, errors, pack: json };
+}
+
+function exportRulePack(rules, { name, version, author, locale }) {
+	return {
+		format: RULE_PACK_FORMAT,
+		schemaVersion: RULE_PACK_SCHEMA_VERSION,
+		name,
+		version,
+		author,
+		locale,
+		rules: rules.map((r) => {
+			const out = {};
+			for (const key of RULE_FIELDS) if (r[key] != null) out[key] = r[key];
+			if (r.enabled === false) out.enabled = false;
+			return out;
+		}),
+	};
+}
+
+// Fold a validated pack into an existing rule list.
+//   strategy "replace": pack rules override rules with the same id
+//   strategy "skip":    existing rules win, clashing pack rules are dropped
+//   strategy "rename":  clashing pack rules get a "<pack-name>/" id prefix
+// Returns { rules, added, replaced, skipped, renamed }.
+function importRulePack(existing, pack, strategy = "rename") {
+	const rules = existing.map((r) => ({ ...r }));
+	const index = new Map(rules.map((r, i) => [r.id, i]));
+	const prefix = (pack.name || "pack").toLowerCase().replace(/[^a-z0-9]+/g, "-");
+	const report = { added: 0, replaced: 0, skipped: 0, renamed: 0 };
+
+	for (const r of pack.rules) {
+		const rule = { ...r, pack: pack.name };
+		if (!index.has(rule.id)) {
+			index.set(rule.id, rules.push(rule) - 1);
+			report.added++;
+		} else if (strategy === "replace") {
+			rules[index.get(rule.id)] = rule;
+			report.replaced++;
+		} else if (strategy === "skip") {
+			report.skipped++;
+		} else {
+			let id = `${prefix}/${rule.id}`;
+			for (let n = 2; index.has(id); n++) id = `${prefix}/${rule.id}-${n}`;
+			index.set(id, rules.push({ ...rule, id }) - 1);
+			report.renamed++;
+		}
+	}
+	return { rules, ...report };
+}
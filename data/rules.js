@@ -0,0 +1,224 @@
+// ===============================================
+// data/rules.js
+// ===============================================
+// The cleaning core, shared by the content script and the service
+// worker's "rules" analysis backend. Rules are the entries of
+// data/wasteful_patterns.json (merged with the user's own rules)
+// compiled to { id, explain, re, replacement?, transform?, ... }.
+// Rules only touch prose: code, quotes, URLs and JSON are masked out
+// first (data/segmenter.js). Each language has its own bundled pack,
+// picked per prompt by data/language.js.
+
+// Bundled packs by locale; English is the default and the fallback
+const RULE_PACK_FILES = {
+	en: "data/wasteful_patterns.json",
+	vi: "data/wasteful_patterns.vi.json",
+	de: "data/wasteful_patterns.de.json",
+	es: "data/wasteful_patterns.es.json",
+	fr: "data/wasteful_patterns.fr.json",
+};
+
+function compileRules(list) {
+	const out = [];
+	for (const r of Array.isArray(list) ? list : []) {
+		try {
+			out.push({ ...r, re: new RegExp(r.pattern, r.flags) });
+		} catch (err) {
+			console.warn("[PH] Skipping rule with bad pattern:", r?.id, err);
+		}
+	}
+	return out;
+}
+
+// Accepts a rule pack (see data/rule_packs.js) or a bare rule array
+function rulesFromJson(json) {
+	if (Array.isArray(json)) return json;
+	return Array.isArray(json?.rules) ? json.rules : [];
+}
+
+// Merge the user's rules (settings.userRules, edited on the options page)
+// with the bundled ones. The user list is authoritative for order and can
+// override a bundled rule by reusing its id; bundled rules it doesn't
+// mention (e.g. added by an update) are appended. Disabled rules drop out.
+// Entries for bundled rules may hold only the changed fields (see
+// compactRules); one whose bundled rule is gone has nothing to apply.
+function mergeRules(bundled, userRules) {
+	const byId = new Map((bundled || []).map((r) => [r.id, r]));
+	const seen = new Set();
+	const out = [];
+	for (const u of Array.isArray(userRules) ? userRules : []) {
+		if (!u?.id || seen.has(u.id)) continue;
+		if (!byId.has(u.id) && !u.pattern) continue;
+		seen.add(u.id);
+		out.push({ ...byId.get(u.id), ...u });
+	}
+	for (const r of bundled || []) if (!seen.has(r.id)) out.push(r);
+	return out.filter((r) => r.enabled !== false);
+}
+
+// The inverse of mergeRules, for saving an edited list (disabled rules
+// included) as settings.userRules. The user's own rules are stored in
+// full; bundled ones only as the fields that differ (a cleared field as
+// null), or just their id to hold their place in the order. Unchanged
+// bundled rules at the end, already in bundled order, aren't stored at
+// all. Updates to bundled rules keep reaching users who never edited
+// them, and the list stays small enough for one chrome.storage.sync item.
+function compactRules(bundled, rules) {
+	const byId = new Map((bundled || []).map((r) => [r.id, r]));
+	const value = (rule, key) =>
+		JSON.stringify(key === "enabled" ? rule.enabled !== false : rule[key] ?? null);
+	const out = rules.map((r) => {
+		const base = byId.get(r.id);
+		if (!base) return r;
+		const delta = { id: r.id };
+		for (const key of new Set([...Object.keys(base), ...Object.keys(r)])) {
+			if (key !== "id" && value(r, key) !== value(base, key)) delta[key] = r[key] ?? null;
+		}
+		return delta;
+	});
+
+	const tail = [];
+	while (out.length && Object.keys(out[out.length - 1]).length === 1) tail.unshift(out.pop());
+	const kept = new Set(out.map((r) => r.id));
+	const appended = (bundled || []).filter((r) => !kept.has(r.id)).map((r) => r.id);
+	const inOrder = appended.join("\n") === tail.map((r) => r.id).join("\n");
+	return inOrder ? out : [...out, ...tail];
+}
+
+// → { en: [compiled], vi: [...], … } for every bundled pack. The user's
+// list is edited against the English pack, so it applies in full there;
+// the other languages pick up only the user's own rules (ids the English
+// pack doesn't have). Only a missing English pack is an error.
+async function loadRuleSets(userRules) {
+	const packs = await Promise.all(
+		Object.entries(RULE_PACK_FILES).map(async ([locale, path]) => {
+			try {
+				const res = await fetch(chrome.runtime.getURL(path));
+				return [locale, rulesFromJson(await res.json())];
+			} catch (err) {
+				if (locale === "en") throw err;
+				console.warn(`[PH] Failed to load ${path}:`, err);
+				return [locale, []];
+			}
+		})
+	);
+	const englishIds = new Set(packs.find(([locale]) => locale === "en")[1].map((r) => r.id));
+	const own = (Array.isArray(userRules) ? userRules : []).filter(
+		(u) => u?.id && !englishIds.has(u.id)
+	);
+	const sets = {};
+	for (const [locale, bundled] of packs) {
+		sets[locale] = compileRules(mergeRules(bundled, locale === "en" ? userRules : own));
+	}
+	return sets;
+}
+
+// lang from detectLanguage (null when unsure) → that language's rules
+function rulesForLanguage(sets, lang) {
+	return sets?.[lang]?.length ? sets[lang] : sets?.en || [];
+}
+
+// =================== Replacements ===================
+// What a match turns into is declared per rule:
+//   transform:   a named function from RULE_TRANSFORMS (wins if set)
+//   replacement: a template with $1…$99, $<name>, $& and $$
+//   neither:     a single space, so neighbouring words don't fuse
+const RULE_TRANSFORMS = {
+	delete: () => "",
+	space: () => " ",
+	"keep-first-char": (m) => [...m][0] || "",
+	lowercase: (m) => m.toLowerCase(),
+	collapse: (m) => m.replace(/(.)\1+/gsu, "$1").replace(/\s+/g, " "),
+};
+
+function expandTemplate(template, m, groups, named) {
+	return template.replace(/\$(\$|&|<([^>]*)>|(\d{1,2}))/g, (tok, what, name, num) => {
+		if (what === "$") return "$";
+		if (what === "&") return m;
+		if (name !== undefined) return named?.[name] ?? "";
+		// "$12" falls back to "$1" + "2" when there is no group 12, like String#replace
+		const n = Number(num);
+		if (n >= 1 && n <= groups.length) return groups[n - 1] ?? "";
+		if (num.length === 2 && Number(num[0]) >= 1 && Number(num[0]) <= groups.length) {
+			return (groups[Number(num[0]) - 1] ?? "") + num[1];
+		}
+		return tok;
+	});
+}
+
+function replacementFor(rule, m, groups, named) {
+	const fn = rule.transform && RULE_TRANSFORMS[rule.transform];
+	if (fn) return fn(m, groups, named);
+	if (typeof rule.replacement === "string") {
+		return expandTemplate(rule.replacement, m, groups, named);
+	}
+	return " ";
+}
+
+// Where each rule matches in the original text, for highlighting. Unlike
+// applyRuleSet the rules don't see each other's output; overlapping
+// matches keep the earliest (then longest) one.
+function findRuleMatches(text, rules) {
+	const { masked, regions, placeholderRe } = maskProtected(text || "");
+	const toOriginal = unmaskOffsets(masked, regions);
+	const found = [];
+	for (const r of rules) {
+		const flags = r.re.flags.includes("g") ? r.re.flags : `${r.re.flags}g`;
+		for (const m of masked.matchAll(new RegExp(r.re.source, flags))) {
+			if (!m[0] || placeholderRe.test(m[0])) continue;
+			found.push({
+				id: r.id,
+				explain: r.explain,
+				start: toOriginal(m.index),
+				end: toOriginal(m.index + m[0].length),
+				match: m[0],
+				replacement: replacementFor(r, m[0], m.slice(1), m.groups),
+			});
+		}
+	}
+	found.sort((a, b) => a.start - b.start || b.end - a.end);
+	const out = [];
+	let pos = 0;
+	for (const f of found) {
+		if (f.start < pos) continue;
+		out.push(f);
+		pos = f.end;
+	}
+	return out;
+}
+
+function applyRuleSet(text, rules) {
+	const { masked, regions, placeholderRe } = maskProtected(text || "");
+	let cleaned = masked;
+	const hits = [];
+
+	for (const r of rules) {
+		cleaned = cleaned.replace(r.re, (m, ...args) => {
+			// Never rewrite across protected text
+			if (placeholderRe.test(m)) return m;
+			// args: p1…pN, offset, string[, namedGroups]
+			const named = typeof args[args.length - 1] === "object" ? args.pop() : undefined;
+			const groups = args.slice(0, -2);
+			const out = replacementFor(r, m, groups, named);
+			hits.push({
+				id: r.id,
+				match: m,
+				replacement: out,
+				explain: r.explain,
+				severity: r.severity || "low",
+			});
+			return out;
+		});
+	}
+
+	// Whitespace cleanup sees placeholders, not the code's indentation
+	cleaned = unmaskProtected(
+		cleaned
+			.replace(/[ \t]{2,}/g, " ")
+			.replace(/\s+\n/g, "\n")
+			.trim(),
+		regions
+	);
+
+	return { cleaned, removed: (text || "").length - cleaned.length, hits };
+}
@@ -0,0 +1,164 @@
+// ===============================================
+// data/segmenter.js
+// ===============================================
+// Splits a prompt into prose and protected regions the model should see
+// verbatim: fenced and indented code, inline `code`, quoted text ("…",
+// “…” and "> " quoted lines), URLs and JSON. The cleaning core
+// (data/rules.js) only rewrites prose.
+//
+// Rules run on a masked copy where every protected region is a single
+// placeholder character from the Private Use Area. Line structure around
+// the regions survives (so ^/$ rules still work), a rule match that would
+// swallow a placeholder is left alone, and offsets map back to the
+// original text for highlighting. Placeholders skip PUA characters the
+// prompt already contains (icon fonts, pasted symbols), which stay text.
+
+const SEGMENT_PLACEHOLDER_BASE = 0xe000;
+const SEGMENT_PLACEHOLDER_LAST = 0xf8ff;
+const SEGMENT_PUA_RE = /[\uE000-\uF8FF]/g;
+
+// Region finders, in priority order; later ones skip overlapping text
+const SEGMENT_PATTERNS = [
+	// ``` or ~~~ fences, to the closing fence or the end of the text
+	{ type: "code", re: /(^|\n)[ \t]*(```|~~~)[^\n]*\n[\s\S]*?(?:\n[ \t]*\2[ \t]*(?=\n|$)|$)/g },
+	// 4-space/tab indented blocks after a blank line (code, stack traces)
+	{ type: "code", re: /(^|\n\s*\n)((?:(?: {4}|\t)[^\n]*(?:\n|$))+)/g, group: 2 },
+	{ type: "quote", re: /(^|\n)(>[^\n]*(?:\n>[^\n]*)*)/g, group: 2 },
+	{ type: "inline-code", re: /`[^`\n]+`/g },
+	{ type: "url", re: /\b(?:https?:\/\/|www\.)[^\s<>"'`]+[^\s<>"'`.,;:!?)\]]/g },
+	{ type: "quote", re: /"[^"\n]{1,500}"|“[^”\n]{1,500}”/g },
+];
+
+// {…} or […] starting a line and closing with balanced brackets, outside
+// of strings; kept if it parses as JSON or has "key": pairs in it
+function findJsonRegions(text) {
+	const out = [];
+	const starts = /(^|\n)[ \t]*([{[])/g;
+	for (const m of text.matchAll(starts)) {
+		const start = m.index + m[0].length - 1;
+		if (out.length && start < out[out.length - 1].end) continue;
+		let depth = 0;
+		let inString = false;
+		let end = -1;
+		for (let i = start; i < text.length; i++) {
+			const c = text[i];
+			if (inString) {
+				if (c === "\\") i++;
+				else if (c === '"') inString = false;
+			} else if (c === '"') inString = true;
+			else if (c === "{" || c === "[") depth++;
+			else if (c === "}" || c === "]") {
+				if (--depth === 0) {
+					end = i + 1;
+					break;
+				}
+			}
+		}
+		if (end < 0) continue;
+		const body = text.slice(start, end);
+		let isJson = /"[^"\n]*"\s*:/.test(body);
+		if (!isJson) {
+			try {
+				JSON.parse(body);
+				isJson = /[,:]/.test(body); // "[1]" alone is likely prose
+			} catch {}
+		}
+		if (isJson) out.push({ type: "json", start, end });
+	}
+	return out;
+}
+
+// → [{ type, start, end }] for protected regions, sorted, no overlaps
+function findProtectedRegions(text) {
+	const found = [];
+	const overlaps = (s, e) => found.some((r) => s < r.end && e > r.start);
+	const add = (type, start, end) => {
+		if (end > start && !overlaps(start, end)) found.push({ type, start, end });
+	};
+	// Code fences first, then JSON (its strings aren't prose quotes)
+	const [fence, ...rest] = SEGMENT_PATTERNS;
+	for (const m of text.matchAll(fence.re)) {
+		add(fence.type, m.index + m[1].length, m.index + m[0].length);
+	}
+	for (const r of findJsonRegions(text)) add(r.type, r.start, r.end);
+	for (const p of rest) {
+		for (const m of text.matchAll(p.re)) {
+			const part = p.group ? m[p.group] : m[0];
+			const start = m.index + m[0].indexOf(part, p.group ? m[1].length : 0);
+			add(p.type, start, start + part.length);
+		}
+	}
+	return found.sort((a, b) => a.start - b.start);
+}
+
+// → [{ type: "prose" | protected type, start, end, text }] covering text
+function segmentPrompt(text) {
+	const t = text || "";
+	const segments = [];
+	let pos = 0;
+	for (const r of findProtectedRegions(t)) {
+		if (r.start > pos) segments.push({ type: "prose", start: pos, end: r.start });
+		segments.push(r);
+		pos = r.end;
+	}
+	if (pos < t.length) segments.push({ type: "prose", start: pos, end: t.length });
+	return segments.map((s) => ({ ...s, text: t.slice(s.start, s.end) }));
+}
+
+// Prompt text quoted in a message (lint issues, turn warnings): one line,
+// cut at max chars
+function promptExcerpt(s, max = 60) {
+	const t = (s || "").replace(/\s+/g, " ").trim();
+	return t.length > max ? `${t.slice(0, max)}…` : t;
+}
+
+// =================== Masking ===================
+// → { masked, regions, placeholderRe }: each region carries the
+// placeholder (mark) standing in for it; placeholderRe finds any of them.
+// Should the PUA run out of free characters, the rest stay unmasked.
+function maskProtected(text) {
+	const used = new Set((text || "").match(SEGMENT_PUA_RE));
+	let code = SEGMENT_PLACEHOLDER_BASE;
+	const nextMark = () => {
+		while (code <= SEGMENT_PLACEHOLDER_LAST && used.has(String.fromCharCode(code))) code++;
+		return code <= SEGMENT_PLACEHOLDER_LAST ? String.fromCharCode(code++) : null;
+	};
+
+	const regions = [];
+	let masked = "";
+	for (const s of segmentPrompt(text)) {
+		const mark = s.type === "prose" ? null : nextMark();
+		if (mark) {
+			masked += mark;
+			regions.push({ ...s, mark });
+		} else {
+			masked += s.text;
+		}
+	}
+	const placeholderRe = regions.length
+		? new RegExp(`[${regions.map((r) => r.mark).join("")}]`)
+		: /(?!)/;
+	return { masked, regions, placeholderRe };
+}
+
+function regionsByMark(regions) {
+	return new Map(regions.map((r) => [r.mark, r]));
+}
+
+function unmaskProtected(masked, regions) {
+	const byMark = regionsByMark(regions);
+	return masked.replace(SEGMENT_PUA_RE, (ch) => byMark.get(ch)?.text ?? ch);
+}
+
+// Maps offsets in the masked text back to the original text
+function unmaskOffsets(masked, regions) {
+	const byMark = regionsByMark(regions);
+	const map = new Array(masked.length + 1);
+	let shift = 0;
+	for (let i = 0; i <= masked.length; i++) {
+		map[i] = i + shift;
+		const r = byMark.get(masked[i]);
+		if (r) shift += r.text.length - 1;
+	}
+	return (offset) => map[offset];
+}
@@ -0,0 +1,151 @@
+// ===============================================
+// data/settings.js
+// ===============================================
+// Shared settings helpers. Loaded as a content script (before
+// content_script.js) and by extension pages. Settings live in
+// chrome.storage.sync as flat keys so `get(PH_DEFAULTS)` fills in
+// anything the user hasn't changed.
+//
+// Teams can lock settings through enterprise policy: chrome.storage.managed
+// (schema in managed_schema.json) wins over the user's values for
+// PH_MANAGED_KEYS, and the options page shows those as locked.
+
+const PH_DEFAULTS = {
+	// Ordered fallback chain of analysis backends (see background.js).
+	// The first backend that answers in time wins.
+	analysisChain: ["similarity"],
+	// Endpoint for the optional "remote" backend
+	analysisEndpoint: "https://computesimilarity-tz4nnskwtq-uc.a.run.app",
+	// Per-backend timeouts in ms
+	analysisTimeouts: { remote: 4000, similarity: 1000, rules: 1000 },
+	// Longest Enter is held for analysis, across the whole chain (ms)
+	interceptBudgetMs: 1500,
+	// When no backend answers in time: "open" decides on the local
+	// signals alone, "closed" treats the prompt as flagged
+	failMode: "open",
+	// Blocking policy (data/policy.js). Mode per site adapter id:
+	// "off" | "warn" | "soft" | "hard"; unlisted sites use "soft".
+	policyModes: {},
+	// Rule hits or lint issues (data/lint.js) of at least this severity
+	// trigger the policy; "" = never
+	blockSeverity: "medium",
+	// Trigger when cleaning would save at least this many tokens; 0 = never
+	blockTokenThreshold: 5,
+	// Trigger when the prompt is more similar than this to a past one
+	similarityThreshold: 0.8,
+	// USD per 1M input tokens by model id; null = DEFAULT_PRICE_TABLE
+	// from data/pricing.js
+	priceTable: null,
+	// User rules from the options page, merged over the bundled ones:
+	// own rules in full, bundled ones as changed fields only (see
+	// mergeRules / compactRules in data/rules.js)
+	userRules: [],
+	// Site adapter ids (data/adapters.js) switched off on the options page
+	disabledAdapters: [],
+	// Where the extension runs (data/site_access.js): "supported" AI sites
+	// plus allowDomains, or "all" pages; denyDomains always wins. Updated
+	// installs from before this setting keep "all" (migrateActivationMode)
+	activationMode: "supported",
+	allowDomains: [],
+	denyDomains: [],
+	// Extra regex sources to mask before text leaves the page, on top of
+	// the built-in secret/PII detectors (data/redact.js)
+	redactionPatterns: [],
+	// Keep an encrypted local history of sent prompts (data/history.js)
+	historyEnabled: false,
+};
+
+// Rules, blocking thresholds, enabled sites and the analysis backend
+const PH_MANAGED_KEYS = [
+	"analysisChain",
+	"analysisEndpoint",
+	"analysisTimeouts",
+	"interceptBudgetMs",
+	"failMode",
+	"policyModes",
+	"blockSeverity",
+	"blockTokenThreshold",
+	"similarityThreshold",
+	"userRules",
+	"disabledAdapters",
+	"activationMode",
+	"allowDomains",
+	"denyDomains",
+];
+
+// Policy-set values for PH_MANAGED_KEYS; {} when unmanaged
+function loadManagedSettings() {
+	return new Promise((resolve) => {
+		try {
+			chrome.storage.managed.get(null, (items) => {
+				if (chrome.runtime.lastError || !items) {
+					resolve({});
+					return;
+				}
+				const managed = {};
+				for (const key of PH_MANAGED_KEYS) if (key in items) managed[key] = items[key];
+				resolve(managed);
+			});
+		} catch {
+			resolve({});
+		}
+	});
+}
+
+function loadSyncSettings() {
+	return new Promise((resolve) => {
+		try {
+			chrome.storage.sync.get(PH_DEFAULTS, (items) => {
+				if (chrome.runtime.lastError) {
+					resolve({ ...PH_DEFAULTS });
+					return;
+				}
+				resolve({ ...PH_DEFAULTS, ...items });
+			});
+		} catch {
+			resolve({ ...PH_DEFAULTS });
+		}
+	});
+}
+
+async function loadSettings() {
+	const [settings, managed] = await Promise.all([loadSyncSettings(), loadManagedSettings()]);
+	return { ...settings, ...managed };
+}
+
+// Versions before activationMode ran on every page. A new install stores
+// the "supported" default; an update with no value stored keeps running
+// everywhere ("all"). Called from background.js on install/update.
+function migrateActivationMode(reason) {
+	return new Promise((resolve) => {
+		try {
+			chrome.storage.sync.get("activationMode", (items) => {
+				if (chrome.runtime.lastError || items?.activationMode) return resolve();
+				const activationMode = reason === "install" ? "supported" : "all";
+				chrome.storage.sync.set({ activationMode }, resolve);
+			});
+		} catch {
+			resolve();
+		}
+	});
+}
+
+// Both areas feed loadSettings; onChanged listeners check with this
+function isSettingsArea(area) {
+	return area === "sync" || area === "managed";
+}
+
+// Locked keys are left out: the managed value would win anyway
+async function saveSettings(patch) {
+	const managed = await loadManagedSettings();
+	const writable = Object.fromEntries(
+		Object.entries(patch).filter(([key]) => !(key in managed))
+	);
+	return new Promise((resolve, reject) => {
+		chrome.storage.sync.set(writable, () => {
+			const err = chrome.runtime.lastError;
+			if (err) return reject(err);
+			resolve();
+		});
+	});
+}
@@ -0,0 +1,135 @@
+// ===============================================
+// data/similarity.js
+// ===============================================
+// Local similarity engine: TF-IDF vectors + cosine similarity over a
+// corpus of past prompts. Returns the same `{ maxSimilarity }` shape as
+// the remote computesimilarity service, so the Enter intercept can
+// decide block/allow with no network at all.
+
+const SIMILARITY_SESSION_KEY = "ph_session_corpus";
+const SIMILARITY_LEGACY_CORPUS_KEY = "ph_corpus";
+const SIMILARITY_CORPUS_LIMIT = 200; // oldest session prompts are dropped first
+
+// Lowercased word terms; single characters carry no signal.
+function similarityTerms(text) {
+	return ((text || "").toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).filter(
+		(t) => t.length > 1
+	);
+}
+
+function termCounts(terms) {
+	const counts = new Map();
+	for (const t of terms) counts.set(t, (counts.get(t) || 0) + 1);
+	return counts;
+}
+
+function tfidfVector(counts, idf) {
+	const vec = new Map();
+	let total = 0;
+	for (const n of counts.values()) total += n;
+	for (const [term, n] of counts) vec.set(term, (n / total) * (idf.get(term) || 0));
+	return vec;
+}
+
+function cosine(a, b) {
+	let dot = 0;
+	let na = 0;
+	let nb = 0;
+	for (const [term, w] of a) {
+		na += w * w;
+		const wb = b.get(term);
+		if (wb) dot += w * wb;
+	}
+	for (const w of b.values()) nb += w * w;
+	if (!na || !nb) return 0;
+	return dot / Math.sqrt(na * nb);
+}
+
+// corpus: array of past prompt strings.
+// Returns { maxSimilarity, match } where match is the closest past prompt.
+function computeSimilarity(text, corpus) {
+	const docs = (corpus || []).filter((d) => typeof d === "string" && d.trim());
+	const query = termCounts(similarityTerms(text));
+	if (docs.length === 0 || query.size === 0) {
+		return { maxSimilarity: 0, match: null };
+	}
+
+	const docCounts = docs.map((d) => termCounts(similarityTerms(d)));
+
+	// Smoothed IDF over corpus + query so unseen terms still count
+	const df = new Map();
+	for (const counts of [query, ...docCounts]) {
+		for (const term of counts.keys()) df.set(term, (df.get(term) || 0) + 1);
+	}
+	const n = docCounts.length + 1;
+	const idf = new Map();
+	for (const [term, k] of df) idf.set(term, Math.log((n + 1) / (k + 1)) + 1);
+
+	const qVec = tfidfVector(query, idf);
+	let maxSimilarity = 0;
+	let match = null;
+	docCounts.forEach((counts, i) => {
+		if (counts.size === 0) return;
+		const s = cosine(qVec, tfidfVector(counts, idf));
+		if (s > maxSimilarity) {
+			maxSimilarity = s;
+			match = docs[i];
+		}
+	});
+	return { maxSimilarity: Math.min(1, maxSimilarity), match };
+}
+
+// =================== Session corpus ===================
+// Prompts sent this browser session, in chrome.storage.session: memory
+// only, never written to disk, gone when the browser closes. The
+// similarity backend (background.js) scores against these plus the
+// decrypted prompt history (data/history.js) when that's on, so no
+// prompt is stored in plain text.
+function loadSessionCorpus() {
+	return new Promise((resolve) => {
+		try {
+			chrome.storage.session.get({ [SIMILARITY_SESSION_KEY]: [] }, (items) => {
+				const list = items?.[SIMILARITY_SESSION_KEY];
+				resolve(Array.isArray(list) ? list : []);
+			});
+		} catch {
+			resolve([]);
+		}
+	});
+}
+
+// Serialize writes so prompts sent from two tabs at once are both kept
+let sessionCorpusQueue = Promise.resolve();
+function addToSessionCorpus(text) {
+	const t = (text || "").trim();
+	if (!t) return Promise.resolve();
+	sessionCorpusQueue = sessionCorpusQueue.catch(() => {}).then(async () => {
+		const corpus = (await loadSessionCorpus()).filter((d) => d !== t);
+		corpus.push(t);
+		await new Promise((resolve) =>
+			chrome.storage.session.set(
+				{ [SIMILARITY_SESSION_KEY]: corpus.slice(-SIMILARITY_CORPUS_LIMIT) },
+				resolve
+			)
+		);
+	});
+	return sessionCorpusQueue;
+}
+
+function clearSessionCorpus() {
+	sessionCorpusQueue = sessionCorpusQueue.catch(() => {}).then(
+		() => new Promise((resolve) => chrome.storage.session.remove(SIMILARITY_SESSION_KEY, resolve))
+	);
+	return sessionCorpusQueue;
+}
+
+// Earlier versions kept a plain-text corpus in chrome.storage.local
+function removeLegacyCorpus() {
+	return new Promise((resolve) => {
+		try {
+			chrome.storage.local.remove(SIMILARITY_LEGACY_CORPUS_KEY, resolve);
+		} catch {
+			resolve();
+		}
+	});
+}
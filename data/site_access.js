@@ -0,0 +1,56 @@
+// ===============================================
+// data/site_access.js
+// ===============================================
+// Where the extension is active, per domain. settings.activationMode:
+//   "supported"  the AI sites that have an adapter (data/adapters.js)
+//                plus settings.allowDomains
+//   "all"        every page
+// settings.denyDomains always wins. A domain entry also covers its
+// subdomains ("example.com" matches "mail.example.com").
+//
+// On a disabled origin the content script stays dormant: no observer,
+// no listeners, no key interception.
+
+function normalizeDomain(entry) {
+	return String(entry || "")
+		.trim()
+		.toLowerCase()
+		.replace(/^[a-z][a-z0-9+.-]*:\/\//, "")
+		.replace(/[/?#].*$/, "")
+		.replace(/:\d+$/, "")
+		.replace(/^\*\./, "")
+		.replace(/\.$/, "");
+}
+
+function domainMatches(hostname, domain) {
+	const host = normalizeDomain(hostname);
+	const d = normalizeDomain(domain);
+	return !!d && (host === d || host.endsWith(`.${d}`));
+}
+
+function matchesAnyDomain(hostname, list) {
+	return (Array.isArray(list) ? list : []).some((d) => domainMatches(hostname, d));
+}
+
+function isHostEnabled(hostname, settings) {
+	if (matchesAnyDomain(hostname, settings.denyDomains)) return false;
+	if (settings.activationMode === "all") return true;
+	return isSupportedHost(hostname) || matchesAnyDomain(hostname, settings.allowDomains);
+}
+
+// Settings patch for the popup's "Enable on this site" toggle. Turning a
+// site on lifts any deny entry covering it; turning it off adds the host
+// to the denylist.
+function siteTogglePatch(hostname, on, settings) {
+	const host = normalizeDomain(hostname);
+	let allowDomains = (settings.allowDomains || []).filter((d) => normalizeDomain(d) !== host);
+	let denyDomains = (settings.denyDomains || []).filter((d) => !domainMatches(host, d));
+	if (on) {
+		if (!isHostEnabled(host, { ...settings, allowDomains, denyDomains })) {
+			allowDomains = [...allowDomains, host];
+		}
+	} else {
+		denyDomains = [...denyDomains, host];
+	}
+	return { allowDomains, denyDomains };
+}
@@ -0,0 +1,210 @@
+// ===============================================
+// data/text_writer.js
+// ===============================================
+// Framework-safe text replacement. Instead of overwriting the whole
+// editor (`el.innerText = …`), the old and new text are diffed and only
+// the changed spans are edited, each one selected as a DOM range and
+// replaced through execCommand("insertText"/"delete"). That path fires
+// real beforeinput/input events, so ProseMirror, Lexical, Quill and
+// CodeMirror update their own document model, untouched paragraphs and
+// code fences keep their markup, and the browser's undo stack still works.
+// test/fixtures/editors/ has write-and-read-back checks for ProseMirror,
+// Lexical, Quill and Monaco.
+//
+// Monaco renders a virtualized view over a hidden <textarea>; its model
+// can't be edited from a content script, so writeEditorText reports
+// failure there and callers fall back to the clipboard.
+
+const WRITER_BLOCK_TAGS = new Set([
+	"ADDRESS", "ARTICLE", "ASIDE", "BLOCKQUOTE", "DD", "DIV", "DL", "DT",
+	"FIGURE", "FOOTER", "H1", "H2", "H3", "H4", "H5", "H6", "HEADER", "HR",
+	"LI", "MAIN", "NAV", "OL", "P", "PRE", "SECTION", "TABLE", "TR", "UL",
+]);
+
+function isMonacoEditor(el) {
+	return !!el?.closest?.(".monaco-editor");
+}
+
+// =================== contenteditable text map ===================
+// Rebuilds the editor's text roughly the way innerText does (block
+// boundaries and <br> become "\n", <p> gets a blank line) while keeping
+// where each text node sits in it.
+function editorTextMap(root) {
+	const nodes = []; // { node, start }
+	let text = "";
+	let pending = 0; // newlines owed before the next text
+
+	const flush = () => {
+		if (text && pending) text += "\n".repeat(pending);
+		pending = 0;
+	};
+	const walk = (parent) => {
+		for (const child of parent.childNodes) {
+			if (child.nodeType === Node.TEXT_NODE) {
+				if (!child.data) continue;
+				flush();
+				nodes.push({ node: child, start: text.length });
+				text += child.data;
+			} else if (child.nodeName === "BR") {
+				// ProseMirror's placeholder <br> in empty paragraphs isn't text
+				if (child.classList?.contains("ProseMirror-trailingBreak")) continue;
+				flush();
+				text += "\n";
+			} else if (child.nodeType === Node.ELEMENT_NODE) {
+				const block = WRITER_BLOCK_TAGS.has(child.nodeName);
+				const gap = child.nodeName === "P" ? 2 : 1;
+				if (block) pending = Math.max(pending, gap);
+				walk(child);
+				if (block) pending = Math.max(pending, gap);
+			}
+		}
+	};
+	walk(root);
+	return { text, nodes };
+}
+
+function mapPoint(map, offset) {
+	for (let i = map.nodes.length - 1; i >= 0; i--) {
+		const { node, start } = map.nodes[i];
+		if (offset >= start) {
+			return { node, offset: Math.min(offset - start, node.data.length) };
+		}
+	}
+	return map.nodes[0] ? { node: map.nodes[0].node, offset: 0 } : null;
+}
+
+// =================== Edit planning ===================
+// [{ start, end, insert }] in old-text offsets, from the word diff
+function planEdits(oldText, newText) {
+	const edits = [];
+	let pos = 0;
+	let cur = null;
+	for (const part of diffWords(oldText, newText)) {
+		if (part.type === "same") {
+			if (cur) edits.push(cur);
+			cur = null;
+			pos += part.text.length;
+			continue;
+		}
+		cur ||= { start: pos, end: pos, insert: "" };
+		if (part.type === "del") {
+			pos += part.text.length;
+			cur.end = pos;
+		} else {
+			cur.insert += part.text;
+		}
+	}
+	if (cur) edits.push(cur);
+	return edits;
+}
+
+// Where the caret lands after the edits (old offset → new offset)
+function shiftOffset(offset, edits) {
+	let delta = 0;
+	for (const e of edits) {
+		if (e.end <= offset) delta += e.insert.length - (e.end - e.start);
+		else if (e.start < offset) return e.start + delta + e.insert.length;
+	}
+	return offset + delta;
+}
+
+// Editors keep their own copy of the selection and sync it on
+// selectionchange, which the browser only fires after the current task.
+// Fire it before moving the selection, so the last edit is read where it
+// happened (ProseMirror), and after, so the next one lands in the new
+// range rather than at the old caret (Lexical).
+function selectRange(range) {
+	const sel = getSelection();
+	document.dispatchEvent(new Event("selectionchange"));
+	sel.removeAllRanges();
+	sel.addRange(range);
+	document.dispatchEvent(new Event("selectionchange"));
+}
+
+function execReplace(insert) {
+	return insert
+		? document.execCommand("insertText", false, insert)
+		: document.execCommand("delete", false);
+}
+
+// =================== Writers ===================
+function writeTextarea(el, oldText, newText) {
+	const caret = el.selectionStart;
+	const edits = planEdits(oldText, newText);
+	el.focus();
+	// Last edit first so earlier offsets stay valid
+	for (const e of [...edits].reverse()) {
+		el.setSelectionRange(e.start, e.end);
+		if (!execReplace(e.insert)) {
+			el.setRangeText(e.insert, e.start, e.end, "end");
+			el.dispatchEvent(new InputEvent("input", { bubbles: true }));
+		}
+	}
+	if (el.value !== newText) {
+		// Page rewrote our edits (masked input etc.); settle on the target text
+		el.setRangeText(newText, 0, el.value.length, "end");
+	}
+	const pos = Math.min(shiftOffset(caret, edits), el.value.length);
+	el.setSelectionRange(pos, pos);
+	return true;
+}
+
+function writeContentEditable(el, oldText, newText) {
+	el.focus();
+	const map = editorTextMap(el);
+	const sel = getSelection();
+	let caret = null;
+	if (sel?.rangeCount && el.contains(sel.focusNode)) {
+		const entry = map.nodes.find((n) => n.node === sel.focusNode);
+		if (entry) caret = entry.start + sel.focusOffset;
+	}
+
+	// Offsets come from innerText; only trust them if our map agrees
+	const edits = map.text === oldText ? planEdits(oldText, newText) : null;
+	if (edits) {
+		for (const e of [...edits].reverse()) {
+			const a = mapPoint(map, e.start);
+			const b = mapPoint(map, e.end);
+			if (!a || !b) continue;
+			const range = document.createRange();
+			range.setStart(a.node, a.offset);
+			range.setEnd(b.node, b.offset);
+			selectRange(range);
+			if (!execReplace(e.insert)) {
+				range.deleteContents();
+				if (e.insert) range.insertNode(document.createTextNode(e.insert));
+			}
+		}
+	}
+
+	if (!edits || el.innerText.replace(/\n+$/, "") !== newText.replace(/\n+$/, "")) {
+		// Couldn't map precisely: replace everything, still via the editor
+		const all = document.createRange();
+		all.selectNodeContents(el);
+		selectRange(all);
+		if (!execReplace(newText)) el.innerText = newText;
+		return true;
+	}
+
+	if (caret != null) {
+		const p = mapPoint(editorTextMap(el), shiftOffset(caret, edits));
+		if (p) {
+			const r = document.createRange();
+			r.setStart(p.node, p.offset);
+			r.collapse(true);
+			selectRange(r);
+		}
+	}
+	return true;
+}
+
+// Replace the editor's text with newText. Returns false when the editor
+// can't be written safely (Monaco); the caller decides what to do then.
+function writeEditorText(el, oldText, newText) {
+	if (oldText === newText) return true;
+	if (isMonacoEditor(el)) return false;
+	if (el.tagName?.toLowerCase() === "textarea") {
+		return writeTextarea(el, oldText, newText);
+	}
+	return writeContentEditable(el, oldText, newText);
+}
@@ -0,0 +1,215 @@
+// ===============================================
+// data/tokenizer.js
+// ===============================================
+// Per-model token counting. Text is split with the model family's real
+// pre-tokenizer pattern (cl100k / o200k) and each piece is run through
+// byte-pair encoding with the family's vocabulary, bundled in
+// data/encodings/ (tiktoken's rank files, MIT, in js-tiktoken's compact
+// form). Claude and Gemini don't publish their vocabularies, so their
+// counts are the cl100k count with a calibrated correction.
+//
+// The vocabularies are megabytes, so they load on demand (loadEncoding);
+// until one has, countTokens estimates from the same split: short word
+// pieces are one token, long or non-Latin pieces break into byte-sized
+// chunks.
+//
+// The model comes from the site adapter (data/adapters.js), which reads
+// the site's model picker and maps its label through normalizeModel.
+
+const CONTRACTION = "(?:'[sS]|'[tT]|'[rR][eE]|'[vV][eE]|'[mM]|'[lL][lL]|'[dD])";
+
+const PRETOKENIZE = {
+	cl100k: new RegExp(
+		`${CONTRACTION}|[^\\r\\n\\p{L}\\p{N}]?\\p{L}+|\\p{N}{1,3}| ?[^\\s\\p{L}\\p{N}]+[\\r\\n]*|\\s*[\\r\\n]+|\\s+(?!\\S)|\\s+`,
+		"gu"
+	),
+	o200k: new RegExp(
+		[
+			`[^\\r\\n\\p{L}\\p{N}]?[\\p{Lu}\\p{Lt}\\p{Lm}\\p{Lo}\\p{M}]*[\\p{Ll}\\p{Lm}\\p{Lo}\\p{M}]+${CONTRACTION}?`,
+			`[^\\r\\n\\p{L}\\p{N}]?[\\p{Lu}\\p{Lt}\\p{Lm}\\p{Lo}\\p{M}]+[\\p{Ll}\\p{Lm}\\p{Lo}\\p{M}]*${CONTRACTION}?`,
+			"\\p{N}{1,3}",
+			" ?[^\\s\\p{L}\\p{N}]+[\\r\\n/]*",
+			"\\s*[\\r\\n]+",
+			"\\s+(?!\\S)",
+			"\\s+",
+		].join("|"),
+		"gu"
+	),
+};
+
+const ENCODING_FILES = {
+	cl100k: "data/encodings/cl100k_base.json",
+	o200k: "data/encodings/o200k_base.json",
+};
+
+// How each encoding counts:
+//  split:     pre-tokenizer pattern
+//  ranks:     vocabulary the pieces are byte-pair encoded with
+//  scale:     final correction for vocabularies we only approximate
+// and how a piece is estimated while the vocabulary loads:
+//  wordMax:   Latin word pieces up to this length are a single token
+//  charsPer:  chars per token once a Latin word is split further
+//  bytesPer:  UTF-8 bytes per token for non-Latin text
+const ENCODINGS = {
+	cl100k: { split: "cl100k", ranks: "cl100k", wordMax: 7, charsPer: 4, bytesPer: 2.5, scale: 1 },
+	o200k: { split: "o200k", ranks: "o200k", wordMax: 8, charsPer: 4.5, bytesPer: 3.5, scale: 1 },
+	claude: { split: "cl100k", ranks: "cl100k", wordMax: 7, charsPer: 3.8, bytesPer: 2.5, scale: 1.1 },
+	gemini: { split: "cl100k", ranks: "cl100k", wordMax: 8, charsPer: 4.2, bytesPer: 3.5, scale: 0.95 },
+};
+
+const MODEL_ENCODINGS = {
+	"gpt-5": "o200k",
+	"gpt-4o": "o200k",
+	"gpt-4": "cl100k",
+	claude: "claude",
+	gemini: "gemini",
+};
+
+const DEFAULT_MODEL = "gpt-4";
+// What ChatGPT runs when its picker just says "ChatGPT"
+const CHATGPT_DEFAULT_MODEL = "gpt-5";
+
+// Map a model picker label ("ChatGPT 4o", "Claude Sonnet 4", "2.5 Pro")
+// to one of our model ids; null when we can't tell. OpenAI names go
+// first: "o1 pro" and "GPT-5 Pro" are not Gemini.
+function normalizeModel(label) {
+	const s = (label || "").toLowerCase();
+	if (!s.trim()) return null;
+	if (/4o|gpt-?4\.1|\bo[1-4]\b/.test(s)) return "gpt-4o";
+	if (/gpt-?5|chatgpt\s*5/.test(s)) return "gpt-5";
+	if (/gpt-?4/.test(s)) return "gpt-4";
+	if (/chatgpt/.test(s)) return CHATGPT_DEFAULT_MODEL;
+	if (/claude|sonnet|opus|haiku/.test(s)) return "claude";
+	if (/gemini|flash|\bpro\b/.test(s)) return "gemini";
+	return null;
+}
+
+function encodingForModel(model) {
+	return MODEL_ENCODINGS[model] || MODEL_ENCODINGS[DEFAULT_MODEL];
+}
+
+function utf8Length(s) {
+	let n = 0;
+	for (const ch of s) {
+		const cp = ch.codePointAt(0);
+		n += cp < 0x80 ? 1 : cp < 0x800 ? 2 : cp < 0x10000 ? 3 : 4;
+	}
+	return n;
+}
+
+// =================== Byte-pair encoding ===================
+// Vocabulary keys are the token's bytes as a binary string (one char per
+// byte), which is what atob() gives for the base64 in the rank files.
+const BPE_RANKS = {}; // "cl100k" → Map, once loaded
+const bpeLoads = {};
+const BPE_CACHE_LIMIT = 20000; // pieces remembered per vocabulary
+const bpeCache = {};
+
+// js-tiktoken's compact form: one line per run of consecutive ranks,
+// "! <first rank> <base64 token> <base64 token> …"
+function parseRanks(compact) {
+	const ranks = new Map();
+	for (const line of compact.split("\n")) {
+		const [, first, ...tokens] = line.split(" ");
+		const offset = Number.parseInt(first, 10);
+		tokens.forEach((token, i) => ranks.set(atob(token), offset + i));
+	}
+	return ranks;
+}
+
+// Fetches the vocabulary an encoding needs; resolves once countTokens
+// uses it. A failed load is retried on the next call.
+function loadEncoding(encoding) {
+	const name = (ENCODINGS[encoding] || ENCODINGS.cl100k).ranks;
+	if (!bpeLoads[name]) {
+		bpeLoads[name] = fetch(chrome.runtime.getURL(ENCODING_FILES[name]))
+			.then((res) => res.json())
+			.then((file) => {
+				BPE_RANKS[name] = parseRanks(file.bpe_ranks);
+				bpeCache[name] = new Map();
+			})
+			.catch((err) => {
+				console.warn(`[PH] Failed to load ${ENCODING_FILES[name]}:`, err);
+				delete bpeLoads[name];
+			});
+	}
+	return bpeLoads[name];
+}
+
+function utf8Bytes(s) {
+	let out = "";
+	for (const b of new TextEncoder().encode(s)) out += String.fromCharCode(b);
+	return out;
+}
+
+// Tokens in one piece: start from single bytes and keep merging the
+// adjacent pair with the lowest rank, as tiktoken does.
+function bpeCount(bytes, ranks) {
+	if (bytes.length < 2 || ranks.has(bytes)) return 1;
+	const starts = Array.from({ length: bytes.length + 1 }, (_, i) => i);
+	const rankAt = (i) =>
+		i + 2 < starts.length
+			? ranks.get(bytes.slice(starts[i], starts[i + 2])) ?? Infinity
+			: Infinity;
+	const pairRanks = starts.map((_, i) => rankAt(i));
+	for (;;) {
+		let best = Infinity;
+		let at = -1;
+		for (let i = 0; i < pairRanks.length; i++) {
+			if (pairRanks[i] < best) {
+				best = pairRanks[i];
+				at = i;
+			}
+		}
+		if (at < 0) break;
+		starts.splice(at + 1, 1);
+		pairRanks.splice(at + 1, 1);
+		pairRanks[at] = rankAt(at);
+		if (at > 0) pairRanks[at - 1] = rankAt(at - 1);
+	}
+	return starts.length - 1;
+}
+
+function pieceBpeTokens(piece, name) {
+	const cache = bpeCache[name];
+	let n = cache.get(piece);
+	if (n === undefined) {
+		n = bpeCount(utf8Bytes(piece), BPE_RANKS[name]);
+		if (cache.size >= BPE_CACHE_LIMIT) cache.clear();
+		cache.set(piece, n);
+	}
+	return n;
+}
+
+// =================== Estimate ===================
+function pieceTokens(piece, enc) {
+	const body = piece.replace(/^[^\p{L}\p{N}]/u, ""); // leading space/punct merges in
+	if (/^\s+$/.test(piece)) return 1;
+	if (/^[A-Za-z']+$/.test(body)) {
+		return body.length <= enc.wordMax ? 1 : Math.ceil(body.length / enc.charsPer);
+	}
+	if (/^\p{N}+$/u.test(body)) return 1; // digits are pre-split in groups of 3
+	if (/^[\x00-\x7f]+$/.test(piece)) return Math.max(1, Math.ceil(piece.length / 2));
+	return Math.max(1, Math.ceil(utf8Length(piece) / enc.bytesPer));
+}
+
+// Changes when countTokens(…, encoding) starts counting differently (the
+// vocabulary finished loading), so callers know to redo cached counts
+function tokenCountKey(encoding = "cl100k") {
+	const enc = ENCODINGS[encoding] || ENCODINGS.cl100k;
+	return `${encoding}:${BPE_RANKS[enc.ranks] ? "bpe" : "estimate"}`;
+}
+
+function countTokens(text, encoding = "cl100k") {
+	const s = text || "";
+	if (!s) return 0;
+	const enc = ENCODINGS[encoding] || ENCODINGS.cl100k;
+	const re = PRETOKENIZE[enc.split];
+	re.lastIndex = 0;
+	const exact = !!BPE_RANKS[enc.ranks];
+	let total = 0;
+	for (const m of s.matchAll(re)) {
+		total += exact ? pieceBpeTokens(m[0], enc.ranks) : pieceTokens(m[0], enc);
+	}
+	return Math.max(1, Math.round(total * enc.scale));
+}
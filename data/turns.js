@@ -0,0 +1,246 @@
+// ===============================================
+// data/turns.js
+// ===============================================
+// Conversation-level waste. On sites whose adapter can find the thread's
+// turns (userTurnSelector / assistantTurnSelector in data/adapters.js)
+// the content script keeps a copy of the thread and checks each prompt
+// against it:
+//   ack-only         "thanks!", "ok", "great" after an answer: a whole
+//                    model call, with the thread re-read, for nothing
+//   repeat-question  (nearly) the same question as an earlier turn
+//   continue-loop    "continue" again right after a "continue"
+// Issues have the lint shape ({ id, explain, severity }, data/lint.js),
+// so the badge, modal and policy treat them alike. threadStats() totals
+// the conversation for the popup (stored by data/conversations.js).
+//
+// Turn: { role: "user" | "assistant", text, tokens, countKey, wasted }
+//   tokens/countKey/wasted: cached by readTurns, see below
+
+const TURN_REPEAT_SIMILARITY = 0.9; // computeSimilarity (data/similarity.js)
+const TURN_REPEAT_LOOKBACK = 10; // earlier user turns compared
+const THREAD_REFRESH_MS = 1500; // re-read the thread at most this often
+
+// Matched against normalizeTurn() output: lowercase words, no punctuation
+const TURN_ACK_RE =
+	/^(?:(?:ok(?:ay)?|k|thanks?|thank you|thx|ty|great|cool|nice|perfect|awesome|got it|sounds good|understood|makes sense|so much|a lot|again|cảm ơn|danke|gracias|merci|super)\s*)+$/u;
+const TURN_CONTINUE_RE =
+	/^(?:please )?(?:continue|go on|keep going|carry on|more|next|tiếp tục|tiếp|weiter|sigue|continúa)(?: please)?$/u;
+
+function normalizeTurn(text) {
+	return (text || "")
+		.toLowerCase()
+		.replace(/[^\p{L}\p{N}]+/gu, " ")
+		.trim();
+}
+
+function isContinueTurn(text) {
+	return TURN_CONTINUE_RE.test(normalizeTurn(text));
+}
+
+// text: the prompt about to be sent; turns: the thread before it
+// → [{ id, explain, severity }]
+function findTurnWaste(text, turns) {
+	if (!(text || "").trim() || !turns?.length) return [];
+	const said = normalizeTurn(text);
+	const users = turns.filter((t) => t.role === "user");
+	const last = turns[turns.length - 1];
+
+	// Emoji-only replies ("👍") normalize to nothing
+	if (last.role === "assistant" && (!said || TURN_ACK_RE.test(said))) {
+		return [
+			{
+				id: "ack-only",
+				explain: "Only an acknowledgement: it costs a whole turn and the model re-reads the thread",
+				severity: "medium",
+			},
+		];
+	}
+
+	if (isContinueTurn(text)) {
+		let run = 1;
+		for (let i = users.length - 1; i >= 0 && isContinueTurn(users[i].text); i--) run++;
+		return run < 2
+			? []
+			: [
+					{
+						id: "continue-loop",
+						explain: `“Continue” ${run} times in a row: ask for the rest in one go or narrow the question`,
+						severity: "medium",
+					},
+			  ];
+	}
+
+	const earlier = users.slice(-TURN_REPEAT_LOOKBACK);
+	if (said.split(" ").length < 3 || earlier.length === 0) return [];
+	const { maxSimilarity, match } = computeSimilarity(
+		text,
+		earlier.map((t) => t.text)
+	);
+	if (maxSimilarity < TURN_REPEAT_SIMILARITY) return [];
+	const ago = users.length - users.findLastIndex((t) => t.text === match);
+	return [
+		{
+			id: "repeat-question",
+			explain: `Asked ${ago === 1 ? "in the last turn" : `${ago} turns ago`}: “${promptExcerpt(
+				match
+			)}” — point at what was missing instead`,
+			severity: "medium",
+		},
+	];
+}
+
+// =================== Reading the thread ===================
+// Finished turns are read once: each turn element keeps its entry in
+// turnCache, and only turns the observer saw change (dirtyTurns) are
+// re-read and re-counted. textContent, not innerText: no layout work.
+let turnCache = new WeakMap(); // turn element → Turn
+const dirtyTurns = new Set();
+
+function turnSelector(adapter) {
+	return [adapter.userTurnSelector, adapter.assistantTurnSelector].filter(Boolean).join(",");
+}
+
+// The outermost turn element around node: a wrapper and its content may
+// both match, and the wrapper is the one read
+function turnOf(node, selector) {
+	const el = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+	let turn = el?.closest(selector) || null;
+	while (turn?.parentElement?.closest(selector)) turn = turn.parentElement.closest(selector);
+	return turn;
+}
+
+// count: (text) → tokens; countKey changes when count would give other
+// numbers (tokenCountKey in data/tokenizer.js), and cached counts redo.
+// A user turn's waste is judged once, against the turns before it.
+function readTurns(adapter, count, countKey) {
+	if (!adapter.userTurnSelector) return [];
+	const selector = turnSelector(adapter);
+	const root = threadRoot?.isConnected ? threadRoot : document;
+	const found = [];
+	for (const el of root.querySelectorAll(selector)) {
+		if (found.length && found[found.length - 1].contains(el)) continue;
+		found.push(el);
+	}
+	observeThreadRoot(found.length ? found[0].closest("main") || document.body : null);
+
+	const turns = [];
+	for (const el of found) {
+		let turn = turnCache.get(el);
+		if (!turn || dirtyTurns.has(el)) {
+			const text = (el.textContent || "").trim();
+			if (turn?.text !== text) {
+				const role = el.matches(adapter.userTurnSelector) ? "user" : "assistant";
+				turn = { role, text, tokens: 0, countKey: null, wasted: null };
+				turnCache.set(el, turn);
+			}
+		}
+		if (!turn.text) continue;
+		if (turn.countKey !== countKey) {
+			turn.tokens = count(turn.text);
+			turn.countKey = countKey;
+		}
+		if (turn.role === "user" && turn.wasted === null) {
+			turn.wasted = findTurnWaste(turn.text, turns).length > 0;
+		}
+		turns.push(turn);
+	}
+	dirtyTurns.clear();
+	return turns;
+}
+
+// A user turn is wasted if findTurnWaste flagged it; its tokens and the
+// reply's count as wasted.
+// → { turns, userTokens, assistantTokens, wastedTurns, wastedTokens }
+function threadStats(turns) {
+	const stats = { turns: 0, userTokens: 0, assistantTokens: 0, wastedTurns: 0, wastedTokens: 0 };
+	turns.forEach((t, i) => {
+		stats.turns++;
+		if (t.role === "assistant") {
+			stats.assistantTokens += t.tokens;
+			return;
+		}
+		stats.userTokens += t.tokens;
+		if (!t.wasted) return;
+		stats.wastedTurns++;
+		const reply = turns[i + 1]?.role === "assistant" ? turns[i + 1].tokens : 0;
+		stats.wastedTokens += t.tokens + reply;
+	});
+	return stats;
+}
+
+// =================== Watching the thread ===================
+// Text changes are watched inside the thread's container only (the
+// <main> around the turns), and mark the turn they happened in dirty.
+// A structure-only observer on <body> notices the container being
+// replaced, or the first turn appearing. onChange runs at most once per
+// THREAD_REFRESH_MS, and typing in the editor doesn't count.
+let threadObserver = null;
+let pageObserver = null;
+let threadRoot = null;
+let threadTimer = null;
+let threadOnChange = null;
+let threadTurnSelector = null;
+
+function isEditorMutation(record) {
+	const el =
+		record.target.nodeType === Node.ELEMENT_NODE ? record.target : record.target.parentElement;
+	return !!el?.closest?.("textarea,[contenteditable='true']");
+}
+
+function scheduleThreadRefresh() {
+	if (threadTimer) return;
+	threadTimer = setTimeout(() => {
+		threadTimer = null;
+		threadOnChange?.();
+	}, THREAD_REFRESH_MS);
+}
+
+function onThreadMutations(records) {
+	let changed = false;
+	let last = null;
+	for (const record of records) {
+		if (record.target === last || isEditorMutation(record)) continue;
+		last = record.target;
+		changed = true;
+		const turn = turnOf(record.target, threadTurnSelector);
+		if (turn) dirtyTurns.add(turn);
+	}
+	if (changed) scheduleThreadRefresh();
+}
+
+// Called by readTurns with the container the turns are in (or null)
+function observeThreadRoot(root) {
+	if (!threadOnChange || root === threadRoot) return;
+	threadObserver?.disconnect();
+	threadObserver = null;
+	threadRoot = root;
+	if (!root) return;
+	threadObserver = new MutationObserver(onThreadMutations);
+	threadObserver.observe(root, { subtree: true, childList: true, characterData: true });
+}
+
+function watchThread(adapter, onChange) {
+	unwatchThread();
+	threadOnChange = onChange;
+	threadTurnSelector = turnSelector(adapter);
+	pageObserver = new MutationObserver((records) => {
+		if (threadRoot?.isConnected || records.every(isEditorMutation)) return;
+		scheduleThreadRefresh();
+	});
+	pageObserver.observe(document.body || document.documentElement, {
+		subtree: true,
+		childList: true,
+	});
+	onChange();
+}
+
+function unwatchThread() {
+	threadObserver?.disconnect();
+	pageObserver?.disconnect();
+	threadObserver = pageObserver = threadRoot = threadOnChange = null;
+	clearTimeout(threadTimer);
+	threadTimer = null;
+	// Unwatched turns may change unseen; start over next time
+	turnCache = new WeakMap();
+	dirtyTurns.clear();
+}
@@ -0,0 +1,695 @@
+// options/options.js
+
+// ---------- Promise helpers ----------
+function sendToBackground(msg) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage(msg, (resp) => {
+      const err = chrome.runtime.lastError;
+      if (err) return reject(err);
+      resolve(resp);
+    });
+  });
+}
+
+function setStatus(el, text, kind = "info") {
+  const color = kind === "error" ? "#b00020" : kind === "ok" ? "#0b7" : "#444";
+  el.textContent = text;
+  el.style.color = color;
+}
+
+// ---------- Analysis backends ----------
+// Rows keep the order of settings.analysisChain; backends not in the
+// chain are listed after it, unchecked.
+function renderBackends(listEl, backends, settings) {
+  const chain = settings.analysisChain || [];
+  const ordered = [
+    ...chain.map((id) => backends.find((b) => b.id === id)).filter(Boolean),
+    ...backends.filter((b) => !chain.includes(b.id)),
+  ];
+  listEl.innerHTML = "";
+  for (const b of ordered) {
+    const li = document.createElement("li");
+    li.className = "ph-row";
+    li.dataset.id = b.id;
+    li.innerHTML = `
+      <label class="ph-grow"><input type="checkbox" class="enabled" /> <span></span></label>
+      <input type="number" class="timeout" min="100" step="100" title="Timeout (ms)" />
+      <span class="ph-hint">ms</span>
+      <button class="ph-btn up" title="Move up">↑</button>
+      <button class="ph-btn down" title="Move down">↓</button>
+    `;
+    li.querySelector("span").textContent = b.label;
+    li.querySelector(".enabled").checked = chain.includes(b.id);
+    li.querySelector(".timeout").value =
+      settings.analysisTimeouts?.[b.id] ?? PH_DEFAULTS.analysisTimeouts[b.id] ?? 1000;
+    li.querySelector(".up").onclick = () => {
+      if (li.previousElementSibling) listEl.insertBefore(li, li.previousElementSibling);
+    };
+    li.querySelector(".down").onclick = () => {
+      if (li.nextElementSibling) listEl.insertBefore(li.nextElementSibling, li);
+    };
+    listEl.appendChild(li);
+  }
+}
+
+function readBackends(listEl) {
+  const analysisChain = [];
+  const analysisTimeouts = {};
+  for (const li of listEl.children) {
+    const id = li.dataset.id;
+    const ms = Number(li.querySelector(".timeout").value);
+    if (ms > 0) analysisTimeouts[id] = ms;
+    if (li.querySelector(".enabled").checked) analysisChain.push(id);
+  }
+  return { analysisChain, analysisTimeouts };
+}
+
+// The remote backend can only reach origins we hold host permission for.
+function requestEndpointPermission(url) {
+  let origin;
+  try {
+    origin = `${new URL(url).origin}/*`;
+  } catch {
+    return Promise.resolve(false);
+  }
+  return chrome.permissions.request({ origins: [origin] });
+}
+
+async function initAnalysisSection(settings) {
+  const listEl = document.getElementById("backend-list");
+  const endpointEl = document.getElementById("analysis-endpoint");
+  const budgetEl = document.getElementById("analysis-budget");
+  const failModeEl = document.getElementById("analysis-fail-mode");
+  const statusEl = document.getElementById("analysis-status");
+  const saveBtn = document.getElementById("analysis-save");
+
+  let backends = [];
+  try {
+    backends = (await sendToBackground({ type: "LIST_BACKENDS" }))?.backends || [];
+  } catch {
+    setStatus(statusEl, "Could not reach the background worker.", "error");
+  }
+  renderBackends(listEl, backends, settings);
+  endpointEl.value = settings.analysisEndpoint || "";
+  budgetEl.value = settings.interceptBudgetMs;
+  failModeEl.value = settings.failMode;
+
+  saveBtn.addEventListener("click", async () => {
+    const { analysisChain, analysisTimeouts } = readBackends(listEl);
+    const analysisEndpoint = endpointEl.value.trim();
+    const interceptBudgetMs = Number(budgetEl.value);
+    if (analysisChain.length === 0) {
+      setStatus(statusEl, "Enable at least one backend.", "error");
+      return;
+    }
+    if (!(interceptBudgetMs >= 100)) {
+      setStatus(statusEl, "Latency budget must be at least 100 ms.", "error");
+      return;
+    }
+    // Ask before any await so the click still counts as a user gesture
+    const granted = analysisChain.includes("remote")
+      ? requestEndpointPermission(analysisEndpoint)
+      : Promise.resolve(true);
+    try {
+      if (!(await granted)) {
+        setStatus(statusEl, "Remote endpoint needs host permission.", "error");
+        return;
+      }
+      await saveSettings({
+        analysisChain,
+        analysisTimeouts,
+        analysisEndpoint,
+        interceptBudgetMs,
+        failMode: failModeEl.value,
+      });
+      setStatus(statusEl, "Saved.", "ok");
+    } catch (e) {
+      setStatus(statusEl, `Save failed: ${e?.message || e}`, "error");
+    }
+  });
+}
+
+// ---------- Rules ----------
+// The list shows the merged rule set (bundled + settings.userRules,
+// disabled ones included) and saves back only what differs from the
+// bundled rules (compactRules in data/rules.js).
+async function fetchBundledRules() {
+  const res = await fetch(chrome.runtime.getURL("data/wasteful_patterns.json"));
+  return rulesFromJson(await res.json());
+}
+
+function mergedForEditing(bundled, userRules) {
+  const list = userRules || [];
+  // mergeRules drops disabled rules, so merge them as enabled and
+  // restore the flag afterwards
+  const disabled = new Set(list.filter((r) => r.enabled === false).map((r) => r.id));
+  return mergeRules(
+    bundled,
+    list.map((r) => ({ ...r, enabled: true }))
+  ).map((r) => (disabled.has(r.id) ? { ...r, enabled: false } : r));
+}
+
+function ruleRow(listEl, rule, onChange) {
+  const li = document.createElement("li");
+  li.className = "ph-rule";
+  li.innerHTML = `
+    <div class="ph-row">
+      <input type="checkbox" class="enabled" title="Enabled" />
+      <input class="id" placeholder="id" />
+      <input class="flags" placeholder="flags" />
+      <span class="ph-grow"></span>
+      <button class="ph-btn up" title="Move up">↑</button>
+      <button class="ph-btn down" title="Move down">↓</button>
+      <button class="ph-btn remove" title="Delete">✕</button>
+    </div>
+    <input class="pattern" placeholder="pattern (regex)" />
+    <div class="ph-row">
+      <input class="explain ph-grow" placeholder="explain" />
+      <input class="replacement" placeholder="replacement ($1…)" />
+      <select class="transform" title="Transform (overrides replacement)">
+        <option value="">no transform</option>
+        ${Object.keys(RULE_TRANSFORMS).map((t) => `<option value="${t}">${t}</option>`).join("")}
+      </select>
+      <select class="severity" title="Severity">
+        ${RULE_SEVERITIES.map((s) => `<option value="${s}">${s}</option>`).join("")}
+      </select>
+    </div>
+    <div class="ph-rule-error"></div>
+  `;
+  li.ruleBase = rule; // keeps fields the row doesn't edit (e.g. pack)
+  li.querySelector(".enabled").checked = rule.enabled !== false;
+  for (const key of ["id", "flags", "pattern", "explain", "replacement"]) {
+    li.querySelector(`.${key}`).value = rule[key] ?? "";
+  }
+  li.querySelector(".transform").value = rule.transform || "";
+  li.querySelector(".severity").value = rule.severity || "low";
+  if (rule.pack) li.title = `From pack “${rule.pack}”`;
+  li.querySelector(".up").onclick = () => {
+    if (li.previousElementSibling) listEl.insertBefore(li, li.previousElementSibling);
+    onChange();
+  };
+  li.querySelector(".down").onclick = () => {
+    if (li.nextElementSibling) listEl.insertBefore(li.nextElementSibling, li);
+    onChange();
+  };
+  li.querySelector(".remove").onclick = () => {
+    li.remove();
+    onChange();
+  };
+  li.addEventListener("input", onChange);
+  return li;
+}
+
+function readRules(listEl) {
+  return [...listEl.children].map((li) => {
+    const field = (key) => li.querySelector(`.${key}`).value;
+    const rule = {
+      ...li.ruleBase,
+      id: field("id").trim(),
+      pattern: field("pattern"),
+      flags: field("flags").trim(),
+      explain: field("explain").trim(),
+      severity: field("severity"),
+      enabled: li.querySelector(".enabled").checked,
+    };
+    if (field("replacement") !== "") rule.replacement = field("replacement");
+    else delete rule.replacement;
+    if (field("transform")) rule.transform = field("transform");
+    else delete rule.transform;
+    return rule;
+  });
+}
+
+// Marks each row with its error; returns true when all rows are valid
+function validateRules(listEl) {
+  const seen = new Set();
+  let valid = true;
+  for (const li of listEl.children) {
+    const id = li.querySelector(".id").value.trim();
+    const pattern = li.querySelector(".pattern").value;
+    let error = "";
+    if (!id) error = "Id is required.";
+    else if (seen.has(id)) error = `Duplicate id "${id}".`;
+    else if (!pattern) error = "Pattern is required.";
+    else {
+      try {
+        new RegExp(pattern, li.querySelector(".flags").value);
+      } catch (e) {
+        error = e.message;
+      }
+    }
+    seen.add(id);
+    li.querySelector(".ph-rule-error").textContent = error;
+    li.classList.toggle("ph-invalid", !!error);
+    if (error) valid = false;
+  }
+  return valid;
+}
+
+// Live test pane: highlight what each enabled rule matches in the sample
+// text and show the cleaned result.
+function renderRuleTest(listEl, sample, matchesEl, cleanedEl) {
+  const rules = compileRules(
+    readRules(listEl).filter((r) => r.enabled && r.id && r.pattern)
+  );
+  matchesEl.innerHTML = "";
+  let pos = 0;
+  for (const m of findRuleMatches(sample, rules)) {
+    matchesEl.append(sample.slice(pos, m.start));
+    const mark = document.createElement("mark");
+    mark.textContent = m.match;
+    mark.title = `${m.id}: ${m.explain || ""}`;
+    matchesEl.appendChild(mark);
+    pos = m.end;
+  }
+  matchesEl.append(sample.slice(pos));
+
+  cleanedEl.textContent = applyRuleSet(sample, rules).cleaned;
+}
+
+async function initRulesSection(settings) {
+  const listEl = document.getElementById("rule-list");
+  const statusEl = document.getElementById("rules-status");
+  const sampleEl = document.getElementById("rule-sample");
+  const matchesEl = document.getElementById("rule-test-matches");
+  const cleanedEl = document.getElementById("rule-test-cleaned");
+
+  const refresh = () => {
+    validateRules(listEl);
+    renderRuleTest(listEl, sampleEl.value, matchesEl, cleanedEl);
+  };
+  const render = (rules) => {
+    listEl.innerHTML = "";
+    for (const r of rules) listEl.appendChild(ruleRow(listEl, r, refresh));
+    refresh();
+  };
+
+  let bundled = [];
+  try {
+    bundled = await fetchBundledRules();
+  } catch {
+    setStatus(statusEl, "Could not load bundled rules.", "error");
+  }
+  render(mergedForEditing(bundled, settings.userRules));
+  sampleEl.addEventListener("input", refresh);
+
+  document.getElementById("rule-add").addEventListener("click", () => {
+    const li = ruleRow(
+      listEl,
+      { id: `custom-${listEl.children.length + 1}`, flags: "gi", pattern: "", explain: "" },
+      refresh
+    );
+    listEl.appendChild(li);
+    li.querySelector(".pattern").focus();
+    refresh();
+  });
+
+  document.getElementById("rules-reset").addEventListener("click", () => {
+    render(bundled);
+    setStatus(statusEl, "Bundled rules restored — Save to keep them.");
+  });
+
+  initRulePackControls(listEl, bundled, render);
+
+  document.getElementById("rules-save").addEventListener("click", async () => {
+    if (!validateRules(listEl)) {
+      setStatus(statusEl, "Fix the highlighted rules first.", "error");
+      return;
+    }
+    try {
+      await saveSettings({ userRules: compactRules(bundled, readRules(listEl)) });
+      setStatus(statusEl, "Saved.", "ok");
+    } catch (e) {
+      setStatus(statusEl, `Save failed: ${e?.message || e}`, "error");
+    }
+  });
+}
+
+// ---------- Rule packs (import / export) ----------
+function downloadJson(filename, data) {
+  downloadFile(filename, JSON.stringify(data, null, 2), "application/json");
+}
+
+function downloadFile(filename, text, type) {
+  const blob = new Blob([text], { type });
+  const a = document.createElement("a");
+  a.href = URL.createObjectURL(blob);
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+}
+
+function showPackErrors(el, errors) {
+  el.innerHTML = "";
+  for (const msg of errors) {
+    const li = document.createElement("li");
+    li.textContent = msg;
+    el.appendChild(li);
+  }
+}
+
+// Imported rules land in the editor list; Save persists them like any
+// other edit. Clashes are checked against the list, which always holds
+// the bundled ids too.
+function initRulePackControls(listEl, bundled, render) {
+  const statusEl = document.getElementById("pack-status");
+  const errorsEl = document.getElementById("pack-errors");
+  const fileEl = document.getElementById("pack-file");
+
+  document.getElementById("pack-import").addEventListener("click", () => fileEl.click());
+
+  fileEl.addEventListener("change", async () => {
+    const file = fileEl.files?.[0];
+    fileEl.value = "";
+    if (!file) return;
+    showPackErrors(errorsEl, []);
+    let json;
+    try {
+      json = JSON.parse(await file.text());
+    } catch (e) {
+      showPackErrors(errorsEl, [`${file.name} is not valid JSON: ${e.message}`]);
+      setStatus(statusEl, "Import failed.", "error");
+      return;
+    }
+    const { ok, errors, pack } = validateRulePack(json);
+    if (!ok) {
+      showPackErrors(errorsEl, errors);
+      setStatus(statusEl, `Import failed: ${errors.length} problem(s).`, "error");
+      return;
+    }
+    const strategy = document.getElementById("pack-conflicts").value;
+    const result = importRulePack(readRules(listEl), pack, strategy);
+    render(result.rules);
+    setStatus(
+      statusEl,
+      `Imported “${pack.name}” ${pack.version}: ${result.added} added, ` +
+        `${result.replaced} replaced, ${result.renamed} renamed, ` +
+        `${result.skipped} skipped. Save to keep them.`,
+      "ok"
+    );
+  });
+
+  document.getElementById("pack-export").addEventListener("click", () => {
+    if (!validateRules(listEl)) {
+      setStatus(statusEl, "Fix the highlighted rules before exporting.", "error");
+      return;
+    }
+    const meta = {
+      name: document.getElementById("pack-name").value.trim() || "My rules",
+      version: document.getElementById("pack-version").value.trim() || "1.0.0",
+      author: document.getElementById("pack-author").value.trim() || undefined,
+      locale: document.getElementById("pack-locale").value.trim() || undefined,
+    };
+    const pack = exportRulePack(readRules(listEl), meta);
+    const slug = meta.name.toLowerCase().replace(/[^a-z0-9]+/g, "-");
+    downloadJson(`${slug}-${meta.version}.json`, pack);
+    setStatus(statusEl, `Exported ${pack.rules.length} rules.`, "ok");
+  });
+}
+
+// ---------- Sites (adapters from data/adapters.js) ----------
+function initSitesSection(settings) {
+  const listEl = document.getElementById("adapter-list");
+  const statusEl = document.getElementById("sites-status");
+  const modeEl = document.getElementById("activation-mode");
+  const allowEl = document.getElementById("allow-domains");
+  const denyEl = document.getElementById("deny-domains");
+  const disabled = settings.disabledAdapters || [];
+  modeEl.value = settings.activationMode;
+  allowEl.value = (settings.allowDomains || []).join("\n");
+  denyEl.value = (settings.denyDomains || []).join("\n");
+
+  for (const adapter of [...SITE_ADAPTERS, GENERIC_ADAPTER]) {
+    const li = document.createElement("li");
+    li.className = "ph-row";
+    li.dataset.id = adapter.id;
+    li.innerHTML = `
+      <label class="ph-grow"><input type="checkbox" class="enabled" /> <span></span></label>
+      <span class="ph-hint"></span>
+      <select class="mode" title="Blocking mode">
+        <option value="off">Off</option>
+        <option value="warn">Warn only</option>
+        <option value="soft">Soft block</option>
+        <option value="hard">Hard block</option>
+      </select>
+    `;
+    li.querySelector("span").textContent = adapter.name;
+    li.querySelector(".ph-hint").textContent = adapter.model || DEFAULT_MODEL;
+    li.querySelector(".enabled").checked = !disabled.includes(adapter.id);
+    li.querySelector(".enabled").dataset.setting = "disabledAdapters";
+    li.querySelector(".mode").value = policyModeFor(adapter.id, settings);
+    li.querySelector(".mode").dataset.setting = "policyModes";
+    listEl.appendChild(li);
+  }
+
+  document.getElementById("sites-save").addEventListener("click", async () => {
+    const disabledAdapters = [...listEl.children]
+      .filter((li) => !li.querySelector(".enabled").checked)
+      .map((li) => li.dataset.id);
+    const policyModes = {};
+    for (const li of listEl.children) {
+      policyModes[li.dataset.id] = li.querySelector(".mode").value;
+    }
+    const readDomains = (el) => [
+      ...new Set(el.value.split("\n").map(normalizeDomain).filter(Boolean)),
+    ];
+    try {
+      await saveSettings({
+        disabledAdapters,
+        policyModes,
+        activationMode: modeEl.value,
+        allowDomains: readDomains(allowEl),
+        denyDomains: readDomains(denyEl),
+      });
+      setStatus(statusEl, "Saved.", "ok");
+    } catch (e) {
+      setStatus(statusEl, `Save failed: ${e?.message || e}`, "error");
+    }
+  });
+}
+
+// ---------- Blocking policy ----------
+function initPolicySection(settings) {
+  const severityEl = document.getElementById("block-severity");
+  const tokensEl = document.getElementById("block-tokens");
+  const similarityEl = document.getElementById("block-similarity");
+  const statusEl = document.getElementById("policy-status");
+  severityEl.value = settings.blockSeverity || "";
+  tokensEl.value = settings.blockTokenThreshold;
+  similarityEl.value = settings.similarityThreshold;
+
+  document.getElementById("policy-save").addEventListener("click", async () => {
+    const blockTokenThreshold = Number(tokensEl.value);
+    const similarityThreshold = Number(similarityEl.value);
+    if (!Number.isInteger(blockTokenThreshold) || blockTokenThreshold < 0) {
+      setStatus(statusEl, "Token threshold must be a whole number ≥ 0.", "error");
+      return;
+    }
+    if (!(similarityThreshold >= 0 && similarityThreshold <= 1)) {
+      setStatus(statusEl, "Similarity must be between 0 and 1.", "error");
+      return;
+    }
+    try {
+      await saveSettings({
+        blockSeverity: severityEl.value,
+        blockTokenThreshold,
+        similarityThreshold,
+      });
+      setStatus(statusEl, "Saved.", "ok");
+    } catch (e) {
+      setStatus(statusEl, `Save failed: ${e?.message || e}`, "error");
+    }
+  });
+}
+
+// ---------- Privacy ----------
+function readRedactionPatterns(textareaEl) {
+  return textareaEl.value
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean);
+}
+
+function initPrivacySection(settings) {
+  const patternsEl = document.getElementById("redaction-patterns");
+  const previewEl = document.getElementById("redaction-preview");
+  const sampleEl = document.getElementById("rule-sample");
+  const statusEl = document.getElementById("privacy-status");
+  patternsEl.value = (settings.redactionPatterns || []).join("\n");
+
+  const renderPreview = () => {
+    const detectors = compileRedactors(readRedactionPatterns(patternsEl));
+    previewEl.textContent = redactText(sampleEl.value, detectors).text;
+  };
+  patternsEl.addEventListener("input", renderPreview);
+  sampleEl.addEventListener("input", renderPreview);
+  renderPreview();
+
+  document.getElementById("privacy-save").addEventListener("click", async () => {
+    const redactionPatterns = readRedactionPatterns(patternsEl);
+    for (const src of redactionPatterns) {
+      try {
+        new RegExp(src, "g");
+      } catch (e) {
+        setStatus(statusEl, `Bad pattern ${src}: ${e.message}`, "error");
+        return;
+      }
+    }
+    try {
+      await saveSettings({ redactionPatterns });
+      setStatus(statusEl, "Saved.", "ok");
+    } catch (e) {
+      setStatus(statusEl, `Save failed: ${e?.message || e}`, "error");
+    }
+  });
+}
+
+// ---------- Prompt history ----------
+async function showHistoryCount(statusEl) {
+  try {
+    const resp = await sendToBackground({ type: "HISTORY_STATS" });
+    if (resp?.ok) setStatus(statusEl, `${resp.count} prompts stored.`);
+  } catch {}
+}
+
+function initHistorySection(settings) {
+  const enabledEl = document.getElementById("history-enabled");
+  const statusEl = document.getElementById("history-status");
+  enabledEl.checked = !!settings.historyEnabled;
+  showHistoryCount(statusEl);
+
+  document.getElementById("history-clear").addEventListener("click", async () => {
+    if (!confirm("Delete all stored prompts?")) return;
+    try {
+      await sendToBackground({ type: "HISTORY_CLEAR" });
+      setStatus(statusEl, "History cleared.", "ok");
+    } catch (e) {
+      setStatus(statusEl, `Clear failed: ${e?.message || e}`, "error");
+    }
+  });
+
+  document.getElementById("history-save").addEventListener("click", async () => {
+    const historyEnabled = enabledEl.checked;
+    try {
+      await saveSettings({ historyEnabled });
+      if (!historyEnabled) await sendToBackground({ type: "HISTORY_CLEAR" });
+      setStatus(statusEl, historyEnabled ? "Saved." : "Saved — history deleted.", "ok");
+    } catch (e) {
+      setStatus(statusEl, `Save failed: ${e?.message || e}`, "error");
+    }
+  });
+}
+
+// ---------- Token prices ----------
+function renderPrices(listEl, table) {
+  listEl.innerHTML = "";
+  for (const [model, price] of Object.entries(table)) {
+    const li = document.createElement("li");
+    li.className = "ph-row";
+    li.dataset.model = model;
+    li.innerHTML = `
+      <span class="ph-grow"></span>
+      <span class="ph-hint">$</span>
+      <input type="number" class="price" min="0" step="0.01" />
+      <span class="ph-hint">/ 1M tokens</span>
+    `;
+    li.querySelector(".ph-grow").textContent = model;
+    li.querySelector(".price").value = price;
+    listEl.appendChild(li);
+  }
+}
+
+function initPricingSection(settings) {
+  const listEl = document.getElementById("price-list");
+  const statusEl = document.getElementById("pricing-status");
+  renderPrices(listEl, { ...DEFAULT_PRICE_TABLE, ...(settings.priceTable || {}) });
+
+  document.getElementById("pricing-reset").addEventListener("click", () => {
+    renderPrices(listEl, DEFAULT_PRICE_TABLE);
+    setStatus(statusEl, "Defaults restored — Save to keep them.");
+  });
+
+  document.getElementById("pricing-save").addEventListener("click", async () => {
+    const priceTable = {};
+    for (const li of listEl.children) {
+      const price = Number(li.querySelector(".price").value);
+      if (!Number.isFinite(price) || price < 0) {
+        setStatus(statusEl, `Invalid price for ${li.dataset.model}.`, "error");
+        return;
+      }
+      priceTable[li.dataset.model] = price;
+    }
+    try {
+      await saveSettings({ priceTable });
+      setStatus(statusEl, "Saved.", "ok");
+    } catch (e) {
+      setStatus(statusEl, `Save failed: ${e?.message || e}`, "error");
+    }
+  });
+}
+
+// ---------- Savings report (data/report.js) ----------
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function initReportSection() {
+  const periodEl = document.getElementById("report-period");
+  const statusEl = document.getElementById("report-status");
+
+  const exportAs = async (kind) => {
+    const days = Number(periodEl.value);
+    const sinceTs = days > 0 ? startOfToday() - (days - 1) * DAY_MS : 0;
+    try {
+      const report = buildReport(await loadLedger(), await loadConversations(), {
+        sinceTs,
+        version: chrome.runtime.getManifest().version,
+      });
+      const name = `prompt-hygiene-report-${reportDate(Date.now())}`;
+      if (kind === "csv") downloadFile(`${name}.csv`, reportToCsv(report), "text/csv");
+      else downloadJson(`${name}.json`, report);
+      setStatus(statusEl, `Exported ${report.totals.events} events.`, "ok");
+    } catch (e) {
+      setStatus(statusEl, `Export failed: ${e?.message || e}`, "error");
+    }
+  };
+  document.getElementById("report-csv").addEventListener("click", () => exportAs("csv"));
+  document.getElementById("report-json").addEventListener("click", () => exportAs("json"));
+}
+
+// ---------- Managed (locked) settings ----------
+// Controls are tagged with the settings keys they edit (data-setting);
+// any whose key is set by policy (loadManagedSettings) is disabled, and
+// its section says why. Saving skips locked keys (saveSettings).
+function applyManagedLocks(managed) {
+  for (const el of document.querySelectorAll("[data-setting]")) {
+    const keys = el.dataset.setting.split(" ");
+    if (!keys.some((key) => key in managed)) continue;
+    const controls = el.matches("input,select,textarea,button")
+      ? [el]
+      : el.querySelectorAll("input,select,textarea,button");
+    for (const c of controls) c.disabled = true;
+    el.title = "Set by your organization";
+    el.classList.add("ph-locked");
+
+    const section = el.closest("section");
+    if (section && !section.querySelector(".ph-locked-note")) {
+      const note = document.createElement("p");
+      note.className = "ph-hint ph-locked-note";
+      note.textContent = "🔒 Some settings here are managed by your organization and can’t be changed.";
+      section.querySelector("h3")?.after(note);
+    }
+  }
+}
+
+// ---------- Init ----------
+document.addEventListener("DOMContentLoaded", async () => {
+  const settings = await loadSettings();
+  await initAnalysisSection(settings);
+  await initRulesSection(settings);
+  initSitesSection(settings);
+  initPolicySection(settings);
+  initPrivacySection(settings);
+  initHistorySection(settings);
+  initPricingSection(settings);
+  initReportSection();
+  applyManagedLocks(await loadManagedSettings());
+});
@@ -31,9 +31,13 @@ async function injectContentScript(tabId) {
   } catch (_) {
     // Some pages disallow CSS injection; that's fine.
   }
+  // Same file list (and order) as the manifest's content_scripts entry
+  const files = chrome.runtime.getManifest().content_scripts?.[0]?.js || [
+    "data/content_script.js",
+  ];
   await chrome.scripting.executeScript({
     target: { tabId },
-    files: ["data/content_script.js"],
+    files,
   });
 }
 
@@ -45,8 +49,18 @@ function ensureUI() {
     root.id = "ph-root";
     root.innerHTML = `
       <div style="display:flex;flex-direction:column;gap:10px">
+        <label id="ph-site" class="ph-site-toggle">
+          <input type="checkbox" id="siteToggle" />
+          <span id="siteLabel">Enable on this site</span>
+        </label>
         <div id="ph-status" style="font:12px/1.2 system-ui"></div>
+        <div id="ph-conversation" class="ph-hint"></div>
+        <div id="ph-dashboard" class="ph-dashboard"></div>
         <div style="display:flex;gap:8px;justify-content:flex-end">
+          <button id="btnUndo"
+                  style="padding:6px 10px;border-radius:8px;border:1px solid #ddd;cursor:pointer">
+            Undo last clean
+          </button>
           <button id="btnClearCurrent"
                   style="padding:6px 10px;border-radius:8px;border:1px solid #ddd;cursor:pointer">
             Clear current
@@ -57,8 +71,13 @@ function ensureUI() {
     document.body.appendChild(root);
   }
   return {
+    siteToggle: document.getElementById("siteToggle"),
+    siteLabel: document.getElementById("siteLabel"),
     statusEl: document.getElementById("ph-status"),
+    conversationEl: document.getElementById("ph-conversation"),
+    dashboardEl: document.getElementById("ph-dashboard"),
     clearBtn: document.getElementById("btnClearCurrent"),
+    undoBtn: document.getElementById("btnUndo"),
   };
 }
 
@@ -74,10 +93,163 @@ function setDisabled(btn, disabled) {
   btn.style.cursor = disabled ? "not-allowed" : "pointer";
 }
 
+function formatSummary(summary) {
+  const {
+    removedChars = 0,
+    savedTokens = 0,
+    savedCost = 0,
+    model = null,
+    language = null,
+    hits = [],
+  } = summary || {};
+  const top = hits[0] ? `${hits[0].explain} ×${hits[0].count}` : "No hits yet";
+  const tokensText = model
+    ? `~${savedTokens} ${model} tokens`
+    : `~${savedTokens} tokens`;
+  const languageText = language ? ` · ${LANGUAGE_NAMES[language] || language}` : "";
+  return `Cleanable: ${removedChars} chars (${tokensText}, saves ~${formatCost(
+    savedCost
+  )}). Top: ${top}${languageText}`;
+}
+
+// Token totals of the conversation open in the tab (data/turns.js)
+function formatConversation(c) {
+  const n = (x) => (x || 0).toLocaleString();
+  const parts = [
+    `This conversation: ${c.turns} turns`,
+    `${n(conversationTokens(c))} tokens (${n(c.userTokens)} yours, ${n(
+      c.assistantTokens
+    )} replies)`,
+  ];
+  if (c.wastedTurns) {
+    parts.push(
+      `${c.wastedTurns} wasted turn${c.wastedTurns === 1 ? "" : "s"} (~${n(
+        c.wastedTokens
+      )} tokens)`
+    );
+  }
+  return parts.join(" · ");
+}
+
+function renderConversation(el, conversation) {
+  el.textContent = conversation ? formatConversation(conversation) : "";
+  el.style.display = conversation ? "" : "none";
+}
+
+// ---------- Savings dashboard (from the ledger in data/ledger.js) ----------
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+function formatTotals(t) {
+  return `${t.tokens.toLocaleString()} tokens · ${formatCost(t.cost)} · ${
+    t.cleans
+  } cleaned · ${t.blocks} blocked`;
+}
+
+function appendList(
+  parent,
+  title,
+  rows,
+  format = (r) => `${r.key} — ${r.tokens.toLocaleString()} tokens (${r.events}×)`
+) {
+  const h = document.createElement("h4");
+  h.textContent = title;
+  parent.appendChild(h);
+  if (rows.length === 0) {
+    const p = document.createElement("p");
+    p.className = "ph-hint";
+    p.textContent = "Nothing yet.";
+    parent.appendChild(p);
+    return;
+  }
+  const ol = document.createElement("ol");
+  for (const r of rows) {
+    const li = document.createElement("li");
+    li.textContent = format(r);
+    ol.appendChild(li);
+  }
+  parent.appendChild(ol);
+}
+
+async function renderDashboard(el) {
+  const entries = await loadLedger();
+  const weekAgo = Date.now() - WEEK_MS;
+  el.innerHTML = "";
+
+  const totals = document.createElement("dl");
+  for (const [label, since] of [
+    ["Today", startOfToday()],
+    ["Last 7 days", weekAgo],
+  ]) {
+    const dt = document.createElement("dt");
+    dt.textContent = label;
+    const dd = document.createElement("dd");
+    dd.textContent = formatTotals(ledgerTotals(entries, since));
+    totals.append(dt, dd);
+  }
+  el.appendChild(totals);
+
+  appendList(
+    el,
+    "Top sites (7 days)",
+    ledgerBreakdown(entries, (e) => e.site, weekAgo).slice(0, 5)
+  );
+  appendList(
+    el,
+    "Top rules (7 days)",
+    ledgerBreakdown(entries, (e) => e.ruleIds, weekAgo).slice(0, 5)
+  );
+  appendList(
+    el,
+    "Biggest conversations (7 days)",
+    topConversations(await loadConversations(), weekAgo).slice(0, 5),
+    (c) =>
+      `${c.title || c.site} — ${conversationTokens(c).toLocaleString()} tokens, ${
+        c.turns
+      } turns${c.wastedTurns ? `, ${c.wastedTurns} wasted` : ""}`
+  );
+}
+
+// ---------- Site toggle ----------
+// Per-domain activation (data/site_access.js) for the active tab's host
+async function initSiteToggle(toggle, label, statusEl) {
+  let host = "";
+  try {
+    const url = new URL((await queryActiveTab())?.url || "");
+    if (/^https?:$/.test(url.protocol)) host = url.hostname;
+  } catch {}
+  if (!host) {
+    toggle.disabled = true;
+    label.textContent = "Not available on this page";
+    return;
+  }
+  label.textContent = `Enable on ${host}`;
+  toggle.checked = isHostEnabled(host, await loadSettings());
+  const managed = await loadManagedSettings();
+  if (["activationMode", "allowDomains", "denyDomains"].some((key) => key in managed)) {
+    toggle.disabled = true;
+    label.textContent = `Enable on ${host} (set by your organization)`;
+    return;
+  }
+
+  toggle.addEventListener("change", async () => {
+    try {
+      await saveSettings(siteTogglePatch(host, toggle.checked, await loadSettings()));
+      setStatus(statusEl, toggle.checked ? `Enabled on ${host}.` : `Disabled on ${host}.`, "ok");
+    } catch (e) {
+      toggle.checked = !toggle.checked;
+      setStatus(statusEl, `Couldn’t save: ${e?.message || e}`, "error");
+    }
+  });
+}
+
 // ---------- Init ----------
 document.addEventListener("DOMContentLoaded", async () => {
-  const { statusEl, clearBtn } = ensureUI();
+  const { siteToggle, siteLabel, statusEl, conversationEl, dashboardEl, clearBtn, undoBtn } =
+    ensureUI();
+  renderConversation(conversationEl, null);
   setStatus(statusEl, "Loading…");
+  renderDashboard(dashboardEl).catch(() => {});
+  initSiteToggle(siteToggle, siteLabel, statusEl).catch(() => {});
 
   // Always wire the button (no early returns)
   clearBtn.addEventListener("click", async () => {
@@ -104,7 +276,7 @@ document.addEventListener("DOMContentLoaded", async () => {
       // Try talking to an already-injected content script
       let resp = await sendToTab(tabId, { type: "CLEAN_CURRENT" });
       if (resp?.ok) {
-        setStatus(statusEl, "Cleared the current editor.", "ok");
+        setStatus(statusEl, "Review the cleanup on the page.", "ok");
       } else {
         setStatus(
           statusEl,
@@ -120,7 +292,7 @@ document.addEventListener("DOMContentLoaded", async () => {
           await injectContentScript(tabId);
           const resp2 = await sendToTab(tabId, { type: "CLEAN_CURRENT" });
           if (resp2?.ok) {
-            setStatus(statusEl, "Cleared the current editor.", "ok");
+            setStatus(statusEl, "Review the cleanup on the page.", "ok");
           } else {
             setStatus(
               statusEl,
@@ -143,6 +315,24 @@ document.addEventListener("DOMContentLoaded", async () => {
     }
   });
 
+  undoBtn.addEventListener("click", async () => {
+    setDisabled(undoBtn, true);
+    try {
+      const tab = await queryActiveTab();
+      if (!tab?.id) {
+        setStatus(statusEl, "No active tab.", "error");
+        return;
+      }
+      const resp = await sendToTab(tab.id, { type: "UNDO_CLEAN" });
+      if (resp?.ok) setStatus(statusEl, "Restored the text before the last clean.", "ok");
+      else setStatus(statusEl, "Nothing to undo.", "info");
+    } catch {
+      setStatus(statusEl, "Can’t reach this page. Refresh the tab.", "error");
+    } finally {
+      setDisabled(undoBtn, false);
+    }
+  });
+
   // Show latest summary (best-effort; no early returns)
   try {
     const tab = await queryActiveTab();
@@ -153,19 +343,9 @@ document.addEventListener("DOMContentLoaded", async () => {
     }
     try {
       const resp = await sendToTab(tabId, { type: "GET_SUMMARY" });
+      renderConversation(conversationEl, resp?.conversation);
       if (resp?.ok && resp.summary) {
-        const {
-          removedChars = 0,
-          savedTokens = 0,
-          hits = [],
-        } = resp.summary || {};
-        const top = hits[0]
-          ? `${hits[0].explain} ×${hits[0].count}`
-          : "No hits yet";
-        setStatus(
-          statusEl,
-          `Cleanable: ${removedChars} chars (~${savedTokens} tokens). Top: ${top}`
-        );
+        setStatus(statusEl, formatSummary(resp.summary));
       } else {
         setStatus(statusEl, "No cleanable text detected.", "info");
       }
@@ -174,19 +354,9 @@ document.addEventListener("DOMContentLoaded", async () => {
       try {
         await injectContentScript(tabId);
         const resp2 = await sendToTab(tabId, { type: "GET_SUMMARY" });
+        renderConversation(conversationEl, resp2?.conversation);
         if (resp2?.ok && resp2.summary) {
-          const {
-            removedChars = 0,
-            savedTokens = 0,
-            hits = [],
-          } = resp2.summary || {};
-          const top = hits[0]
-            ? `${hits[0].explain} ×${hits[0].count}`
-            : "No hits yet";
-          setStatus(
-            statusEl,
-            `Cleanable: ${removedChars} chars (~${savedTokens} tokens). Top: ${top}`
-          );
+          setStatus(statusEl, formatSummary(resp2.summary));
         } else {
           setStatus(statusEl, "No cleanable text detected.", "info");
         }
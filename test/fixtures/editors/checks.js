@@ -0,0 +1,108 @@
+// ===============================================
+// test/fixtures/editors/checks.js
+// ===============================================
+// Write-and-read-back checks for data/text_writer.js against real
+// editors. Each page in this folder builds one editor (ProseMirror,
+// Lexical, Quill, Monaco) and hands it to runWriterChecks. Every case
+// loads two paragraphs through the editor's own API, edits a range with
+// adapterWrite (data/adapters.js) and reads the result back from the
+// editor's model, not from the DOM.
+//
+// To run: serve the repository root over http (python3 -m http.server)
+// and open test/fixtures/editors/<editor>.html. The editors load from
+// esm.sh / jsdelivr. Results are listed on the page and summed up in
+// document.title ("PASS 6/6 — Quill"), which is what a headless run
+// reads; window.writerResults has the details.
+//
+// editor: { name, el, writable, setParagraphs(list), readParagraphs() }
+//   el:       the element the content script attaches to
+//   writable: false where adapterWrite must refuse and change nothing
+
+const WRITER_SAMPLE = [
+  "Hello there, could you please summarize this article for me?",
+  "Keep the second paragraph exactly as it is.",
+];
+
+// edits: [find, replace] pairs, applied to the editor's text the way a
+// cleaned prompt differs from the original
+const WRITER_CASES = [
+  { name: "delete a span", edits: [["could you please ", ""]] },
+  { name: "replace a word", edits: [["summarize", "summarise"]] },
+  { name: "insert at the end of a paragraph", edits: [["for me?", "for me in three bullets?"]] },
+  { name: "edit the second paragraph", edits: [["exactly as it is", "untouched"]] },
+  { name: "two edits in one paragraph", edits: [["Hello there, ", ""], ["could you please ", ""]] },
+  { name: "edit both paragraphs", edits: [["Hello there, ", ""], ["Keep the second", "Keep this"]] },
+];
+
+function applyWriterEdits(text, edits) {
+  return edits.reduce((t, [find, replace]) => t.replace(find, replace), text);
+}
+
+// Lets the editor apply DOM events to its model and re-render
+const writerTick = () => new Promise((resolve) => setTimeout(resolve, 50));
+
+const sameList = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// → null when the case passes, else what went wrong
+async function runWriterCase(editor, c) {
+  await editor.setParagraphs(WRITER_SAMPLE);
+  await writerTick();
+  const expected = WRITER_SAMPLE.map((p) => applyWriterEdits(p, c.edits));
+  // Paragraphs the edit doesn't touch should keep their DOM node
+  const kept = editor.writable
+    ? [...editor.el.children].filter((_, i) => expected[i] === WRITER_SAMPLE[i])
+    : [];
+
+  const before = adapterRead(editor.el);
+  const target = applyWriterEdits(before, c.edits);
+  if (target === before) return `edit not found in ${JSON.stringify(before)}`;
+  const wrote = adapterWrite(editor.el, target);
+  await writerTick();
+  const got = await editor.readParagraphs();
+
+  if (!editor.writable) {
+    if (wrote !== false) return "adapterWrite should refuse this editor";
+    return sameList(got, WRITER_SAMPLE) ? null : `model changed: ${JSON.stringify(got)}`;
+  }
+  if (!wrote) return "adapterWrite returned false";
+  if (!sameList(got, expected)) return `model has ${JSON.stringify(got)}`;
+  const shown = adapterRead(editor.el).replace(/\n+$/, "");
+  if (shown !== target.replace(/\n+$/, "")) return `reads back as ${JSON.stringify(shown)}`;
+  if (kept.some((node) => !node.isConnected)) return "an untouched paragraph was re-created";
+  return null;
+}
+
+async function runWriterChecks(editor) {
+  const results = [];
+  for (const c of WRITER_CASES) {
+    let error;
+    try {
+      error = await runWriterCase(editor, c);
+    } catch (e) {
+      error = String(e?.stack || e);
+    }
+    results.push({ editor: editor.name, check: c.name, ok: !error, error });
+  }
+
+  const table = document.getElementById("results");
+  for (const r of results) {
+    const row = table.insertRow();
+    row.className = r.ok ? "pass" : "fail";
+    row.insertCell().textContent = r.ok ? "PASS" : "FAIL";
+    row.insertCell().textContent = r.check;
+    row.insertCell().textContent = r.error || "";
+  }
+  const passed = results.filter((r) => r.ok).length;
+  document.title = `${passed === results.length ? "PASS" : "FAIL"} ${passed}/${
+    results.length
+  } — ${editor.name}`;
+  window.writerResults = results;
+  return results;
+}
+
+function reportWriterFailure(name, err) {
+  document.title = `FAIL 0/0 — ${name}`;
+  document.getElementById("results").insertRow().insertCell().textContent = `Setup failed: ${
+    err?.stack || err
+  }`;
+}
@@ -0,0 +1,57 @@
+// ===============================================
+// test/fixtures/fixture.js
+// ===============================================
+// Shared runner for the module fixture pages next to this file
+// (segmenter.html, language.html, lint.html, turns.html, report.html).
+// Each page loads the data/ scripts it exercises, the way the manifest
+// does, and hands a list of cases to runFixture.
+//
+// To run: serve the repository root over http (python3 -m http.server)
+// and open test/fixtures/<page>.html. Results are listed on the page and
+// summed up in document.title ("PASS 12/12 — segmenter"), which is what
+// a headless run reads; window.fixtureResults has the details.
+//
+// Case: { name, run } — run() returns (or resolves to) null when the
+// case passes, else what went wrong; a throw counts as a failure.
+
+const fixtureJson = (value) => JSON.stringify(value);
+
+// → null when got and want serialize the same, else the difference
+function expectEqual(got, want, label = "got") {
+  return fixtureJson(got) === fixtureJson(want)
+    ? null
+    : `${label} ${fixtureJson(got)}, expected ${fixtureJson(want)}`;
+}
+
+// First failure of several expectations, or null
+function firstFailure(...errors) {
+  return errors.find(Boolean) || null;
+}
+
+async function runFixture(name, cases) {
+  const results = [];
+  for (const c of cases) {
+    let error;
+    try {
+      error = await c.run();
+    } catch (e) {
+      error = String(e?.stack || e);
+    }
+    results.push({ check: c.name, ok: !error, error: error || "" });
+  }
+
+  const table = document.getElementById("results");
+  for (const r of results) {
+    const row = table.insertRow();
+    row.className = r.ok ? "pass" : "fail";
+    row.insertCell().textContent = r.ok ? "PASS" : "FAIL";
+    row.insertCell().textContent = r.check;
+    row.insertCell().textContent = r.error;
+  }
+  const passed = results.filter((r) => r.ok).length;
+  document.title = `${passed === results.length ? "PASS" : "FAIL"} ${passed}/${
+    results.length
+  } — ${name}`;
+  window.fixtureResults = results;
+  return results;
+}